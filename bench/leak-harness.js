@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Measure closure vs .bind() retention on the installed runtimes
+ *
+ * Usage: node bench/leak-harness.js [--payload <MB>] [--runtime node,bun] [--snapshots <dir>]
+ *
+ * Runs every scenario of leak-scenario.js once per variant in a fresh
+ * process of each runtime found on this machine, and prints a Markdown
+ * table in the shape of docs/v8-vs-jsc-memory-behavior.md.
+ */
+
+import { spawnSync } from "node:child_process";
+import { mkdirSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+const scenarioScript = fileURLToPath(new URL("./leak-scenario.js", import.meta.url));
+
+// Runtimes in table order, with the arguments needed to run the scenario
+const runtimes = [
+  { name: "node", label: "Node.js (V8)", args: ["--expose-gc", scenarioScript] },
+  { name: "bun", label: "Bun (JSC)", args: [scenarioScript] },
+];
+
+const scenarios = [
+  { name: "uncalled", label: "Explicit reference + uncalled listener" },
+  { name: "aborted", label: "After abort() called" },
+  { name: "scope-exit", label: "After scope exit" },
+  { name: "isolated", label: "After scope exit, payload read by no closure" },
+];
+
+const variants = ["closure", "bind"];
+
+const { values } = parseArgs({
+  options: {
+    payload: { type: "string", default: "100" },
+    runtime: { type: "string" },
+    snapshots: { type: "string" },
+  },
+});
+
+/**
+ * Get the version of a runtime, or null when it is not installed
+ */
+function getVersion(name) {
+  const result = spawnSync(name, ["--version"], { encoding: "utf8" });
+  return result.status === 0 ? result.stdout.trim() : null;
+}
+
+/**
+ * Run one scenario in a fresh process and return the retained MB
+ */
+function measure(runtime, scenario, variant) {
+  const args = [...runtime.args, scenario.name, variant, values.payload];
+  if (values.snapshots) args.push(values.snapshots);
+  const result = spawnSync(runtime.name, args, { encoding: "utf8" });
+  if (result.status !== 0) {
+    throw new Error(
+      `${runtime.name} ${scenario.name} ${variant} failed:\n${result.stderr}`,
+    );
+  }
+  const lines = result.stdout.trim().split("\n");
+  return JSON.parse(lines[lines.length - 1]).deltaMB;
+}
+
+/**
+ * Format a heap delta the way the doc does: +100.06 MB
+ */
+function formatDelta(deltaMB) {
+  return `${deltaMB < 0 ? "" : "+"}${deltaMB.toFixed(2)} MB`;
+}
+
+const selected = values.runtime ? values.runtime.split(",") : null;
+const installed = runtimes
+  .filter((runtime) => !selected || selected.includes(runtime.name))
+  .map((runtime) => ({ ...runtime, version: getVersion(runtime.name) }))
+  .filter((runtime) => runtime.version !== null);
+
+if (installed.length === 0) {
+  console.error("No supported runtime found (node, bun).");
+  process.exit(1);
+}
+if (values.snapshots) mkdirSync(values.snapshots, { recursive: true });
+
+const rows = scenarios.map((scenario) => {
+  const cells = installed.map((runtime) =>
+    variants
+      .map((variant) => formatDelta(measure(runtime, scenario, variant)))
+      .join(" / "),
+  );
+  return `| ${scenario.label} | ${cells.join(" | ")} |`;
+});
+
+console.log(`Payload: ${values.payload} MB. Cells show closure / .bind().\n`);
+console.log(`| Scenario | ${installed.map((runtime) => runtime.label).join(" | ")} |`);
+console.log(`|----------|${installed.map(() => "------------").join("|")}|`);
+for (const row of rows) console.log(row);
+console.log("\n## Test Environment\n");
+for (const runtime of installed) {
+  console.log(`- ${runtime.label}: ${runtime.version}`);
+}
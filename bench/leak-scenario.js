@@ -0,0 +1,156 @@
+/**
+ * @fileoverview One leak scenario, run in a fresh process by leak-harness.js
+ *
+ * Usage: leak-scenario.js <scenario> <closure|bind> [payloadMB] [snapshotDir]
+ *
+ * Allocates a payload in a setup function, registers an abort listener on a
+ * long-lived signal and prints how much of the heap is still in use after
+ * garbage collection, as JSON.
+ */
+
+import { writeFileSync } from "node:fs";
+import { join } from "node:path";
+
+const [scenario, variant, payloadArg = "100", snapshotDir] =
+  process.argv.slice(2);
+const payloadMB = Number(payloadArg);
+const isBun = typeof globalThis.Bun !== "undefined";
+
+/**
+ * Run a full garbage collection
+ */
+async function collectGarbage() {
+  for (let i = 0; i < 3; i++) {
+    if (isBun) {
+      globalThis.Bun.gc(true);
+    } else if (typeof globalThis.gc === "function") {
+      globalThis.gc();
+    } else {
+      throw new Error("Run with --expose-gc");
+    }
+    // Let finalizers and weak callbacks run between collections
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Get the heap in use, in bytes
+ */
+function getHeapUsed() {
+  return process.memoryUsage().heapUsed;
+}
+
+/**
+ * Write a heap snapshot of the current state, if requested
+ */
+async function writeSnapshot() {
+  if (!snapshotDir) return null;
+  const file = join(
+    snapshotDir,
+    `${isBun ? "bun" : "node"}-${scenario}-${variant}.heapsnapshot`,
+  );
+  if (isBun) {
+    writeFileSync(file, JSON.stringify(globalThis.Bun.generateHeapSnapshot()));
+  } else {
+    const v8 = await import("node:v8");
+    v8.writeHeapSnapshot(file);
+  }
+  return file;
+}
+
+// Outlives every setup call, like a request-wide or app-wide signal
+const parent = new AbortController();
+
+/**
+ * Allocate the payload
+ */
+function allocatePayload() {
+  // Doubles are stored unboxed by both V8 and JSC: 8 bytes per element
+  return new Array((payloadMB * 2 ** 20) / 8).fill(0.5);
+}
+
+/**
+ * Register a listener that forwards aborts to a child controller, the way
+ * a request handler would, and that reads the payload
+ */
+function setupReading() {
+  const payload = allocatePayload();
+  const controller = new AbortController();
+  const listener =
+    variant === "bind"
+      ? controller.abort.bind(controller)
+      : () => {
+          if (payload.length > 0) controller.abort();
+        };
+  parent.signal.addEventListener("abort", listener, { once: true });
+}
+
+/**
+ * Register the same listener, not reading the payload, next to a sibling
+ * closure that does
+ */
+function setupSiblingReading() {
+  const payload = allocatePayload();
+  const controller = new AbortController();
+  // A sibling closure puts the payload into the shared scope context
+  const size = () => payload.length;
+  const listener =
+    variant === "bind"
+      ? controller.abort.bind(controller)
+      : () => controller.abort();
+  parent.signal.addEventListener("abort", listener, { once: true });
+  return size() > 0;
+}
+
+/**
+ * Register the same listener, with no function in its scope reading the
+ * payload
+ */
+function setupNotReading() {
+  const payload = allocatePayload();
+  const controller = new AbortController();
+  const listener =
+    variant === "bind"
+      ? controller.abort.bind(controller)
+      : () => controller.abort();
+  parent.signal.addEventListener("abort", listener, { once: true });
+  return payload.length;
+}
+
+const scenarios = {
+  // The listener reads the payload but is never called
+  uncalled() {
+    setupReading();
+  },
+  // The listener is called (and removed, being registered with `once`)
+  aborted() {
+    setupReading();
+    parent.abort();
+  },
+  // The listener does not read the payload; a sibling closure does
+  "scope-exit"() {
+    setupSiblingReading();
+  },
+  // Neither the listener nor any other function reads the payload
+  isolated() {
+    setupNotReading();
+  },
+};
+
+if (!Object.hasOwn(scenarios, scenario) || !["closure", "bind"].includes(variant)) {
+  console.error(
+    `Usage: leak-scenario.js <${Object.keys(scenarios).join("|")}> <closure|bind> [payloadMB] [snapshotDir]`,
+  );
+  process.exit(2);
+}
+
+await collectGarbage();
+const before = getHeapUsed();
+scenarios[scenario]();
+await collectGarbage();
+const after = getHeapUsed();
+const snapshot = await writeSnapshot();
+
+console.log(
+  JSON.stringify({ scenario, variant, deltaMB: (after - before) / 2 ** 20, snapshot }),
+);
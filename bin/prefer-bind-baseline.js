@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Generate and prune the baseline of prefer-bind findings
+ *
+ * Usage: prefer-bind-baseline <generate|prune> [--baseline <file>] [patterns...]
+ *
+ * Lints the files matching the patterns (default: the working directory)
+ * with the project's ESLint config, in this process, and reads the
+ * findings prefer-bind recorded, including those the baseline hides.
+ * - generate: stores every finding of the linted files
+ * - prune: drops findings that were fixed, and files that were deleted,
+ *   without adding new ones
+ */
+
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { ESLint } from "eslint";
+import {
+  collectBaseline,
+  countBaseline,
+  getBaselineFileKey,
+  mergeBaseline,
+  pruneBaseline,
+  readBaseline,
+  writeBaseline,
+} from "../lib/baseline.js";
+import { getFindings } from "../lib/findings.js";
+
+const usage =
+  "Usage: prefer-bind-baseline <generate|prune> [--baseline <file>] [patterns...]";
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    baseline: { type: "string", default: "prefer-bind-baseline.json" },
+    help: { type: "boolean", short: "h" },
+  },
+});
+const [command, ...patterns] = positionals;
+
+if (values.help) {
+  console.log(usage);
+  process.exit(0);
+}
+if (command !== "generate" && command !== "prune") {
+  console.error(usage);
+  process.exit(2);
+}
+
+const cwd = process.cwd();
+const baselineFile = path.resolve(cwd, values.baseline);
+
+// Findings are read from the rule's in-process record, which the ESLint
+// cache and worker threads would bypass
+const eslint = new ESLint({ cwd, cache: false });
+const results = await eslint.lintFiles(patterns.length > 0 ? patterns : ["."]);
+
+// Reports of the rule that were not recorded, e.g. from another copy of
+// the plugin than the one this CLI belongs to
+const unrecorded = results.reduce((total, result) => {
+  const reported = result.messages.filter((message) =>
+    message.ruleId?.endsWith("/prefer-bind"),
+  ).length;
+  const recorded = getFindings(result.filePath).filter(
+    (finding) => !finding.baselined,
+  ).length;
+  return total + Math.max(0, reported - recorded);
+}, 0);
+if (unrecorded > 0) {
+  console.warn(
+    `${unrecorded} prefer-bind findings could not be read and are not in the baseline. Run the CLI from the package your ESLint config loads the plugin from.`,
+  );
+}
+
+const previous = readBaseline(baselineFile);
+const current = collectBaseline(results, cwd);
+const linted = results.map((result) => getBaselineFileKey(cwd, result.filePath));
+const files =
+  command === "generate"
+    ? mergeBaseline(previous, current, linted)
+    : pruneBaseline(previous, current, linted, cwd);
+writeBaseline(baselineFile, files);
+
+const fileCount = Object.keys(files).length;
+const before = countBaseline(previous);
+const after = countBaseline(files);
+const change = command === "prune" ? `, ${before - after} removed` : "";
+console.log(
+  `${path.relative(cwd, baselineFile)}: ${after} findings in ${fileCount} files${change}`,
+);
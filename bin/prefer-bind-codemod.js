@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Apply prefer-bind suggestions in bulk
+ *
+ * Usage: prefer-bind-codemod [--dry-run] [patterns...]
+ *
+ * Lints the files matching the patterns (default: the working directory)
+ * with the project's ESLint config and applies the .bind() and direct
+ * reference suggestions of prefer-bind, including the timer rewrites.
+ * With --dry-run, prints them as a unified diff instead. Files whose
+ * suggestions overlap are skipped, and make the exit code 1.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { ESLint } from "eslint";
+import {
+  applyEdits,
+  createUnifiedDiff,
+  getCodemodEdits,
+  hasOverlappingEdits,
+} from "../lib/codemod.js";
+
+const usage = "Usage: prefer-bind-codemod [--dry-run] [patterns...]";
+
+const { values, positionals: patterns } = parseArgs({
+  allowPositionals: true,
+  options: {
+    "dry-run": { type: "boolean" },
+    help: { type: "boolean", short: "h" },
+  },
+});
+
+if (values.help) {
+  console.log(usage);
+  process.exit(0);
+}
+const dryRun = values["dry-run"] ?? false;
+
+const cwd = process.cwd();
+const eslint = new ESLint({ cwd });
+const results = await eslint.lintFiles(patterns.length > 0 ? patterns : ["."]);
+
+let applied = 0;
+let changedFiles = 0;
+let skippedFiles = 0;
+// Per-file counts go to stderr in a dry run, so that stdout is the diff
+const log = dryRun ? console.error : console.log;
+
+for (const result of results) {
+  const edits = getCodemodEdits(result.messages);
+  if (edits.length === 0) continue;
+  const filename = path.relative(cwd, result.filePath).split(path.sep).join("/");
+
+  if (hasOverlappingEdits(edits)) {
+    log(`${filename}: skipped, ${edits.length} suggestions overlap`);
+    skippedFiles++;
+    continue;
+  }
+
+  // Suggestion ranges do not count a byte order mark
+  const source = fs.readFileSync(result.filePath, "utf8");
+  const bom = source.startsWith("\uFEFF") ? "\uFEFF" : "";
+  const text = source.slice(bom.length);
+  if (dryRun) {
+    process.stdout.write(createUnifiedDiff(filename, text, edits));
+  } else {
+    fs.writeFileSync(result.filePath, bom + applyEdits(text, edits));
+  }
+  log(`${filename}: ${edits.length} ${dryRun ? "to apply" : "applied"}`);
+  applied += edits.length;
+  changedFiles++;
+}
+
+const skipped = skippedFiles > 0 ? `, ${skippedFiles} files skipped` : "";
+if (skippedFiles > 0) process.exitCode = 1;
+log(
+  `${applied} suggestions ${dryRun ? "to apply" : "applied"} in ${changedFiles} files${skipped}`,
+);
@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Baseline of known prefer-bind findings
+ *
+ * A baseline lets a codebase enable the rule without fixing every existing
+ * finding first. Findings are keyed by file, and within a file by the
+ * context, receiver and method of the wrapper rather than by line, so that
+ * the baseline survives edits around them:
+ *
+ *   {
+ *     "files": {
+ *       "src/view.js": [
+ *         { "context": "addEventListener", "receiver": "this", "method": "update", "count": 2 }
+ *       ]
+ *     }
+ *   }
+ *
+ * `count` is the number of such findings the file had. Findings beyond it
+ * are reported as new. The `prefer-bind-baseline` CLI generates and prunes
+ * the file.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { getFindings } from "./findings.js";
+
+/**
+ * @typedef {object} BaselineEntry
+ * @property {string} context
+ * @property {string} receiver
+ * @property {string} method
+ * @property {number} count
+ */
+
+/** @typedef {Record<string, BaselineEntry[]>} BaselineFiles */
+
+/**
+ * Get the key a file is stored under: its path relative to the working
+ * directory, with forward slashes on every platform
+ * @param {string} cwd
+ * @param {string} filename
+ */
+export function getBaselineFileKey(cwd, filename) {
+  return path.relative(cwd, filename).split(path.sep).join("/");
+}
+
+/**
+ * Get the key of a finding within its file
+ * @param {{ context: string, receiver: string, method: string }} finding
+ */
+function getFindingKey(finding) {
+  return JSON.stringify([finding.context, finding.receiver, finding.method]);
+}
+
+// Baselines read so far, by file, reused until the file changes
+const baselineCache = new Map();
+
+/**
+ * Read the entries of all files from a baseline file. A missing or
+ * unreadable baseline is treated as empty.
+ * @param {string} baselineFile
+ * @returns {BaselineFiles}
+ */
+export function readBaseline(baselineFile) {
+  try {
+    const { mtimeMs } = fs.statSync(baselineFile);
+    const cached = baselineCache.get(baselineFile);
+    if (cached?.mtimeMs === mtimeMs) return cached.files;
+
+    const baseline = JSON.parse(fs.readFileSync(baselineFile, "utf8"));
+    const files =
+      baseline && typeof baseline.files === "object" ? baseline.files : {};
+    baselineCache.set(baselineFile, { mtimeMs, files });
+    return files;
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Write a baseline file, with files and entries in a stable order so that
+ * regenerating it gives small diffs
+ * @param {string} baselineFile
+ * @param {BaselineFiles} files
+ */
+export function writeBaseline(baselineFile, files) {
+  const sorted = {};
+  for (const file of Object.keys(files).sort()) {
+    if (files[file].length === 0) continue;
+    sorted[file] = [...files[file]].sort((a, b) =>
+      getFindingKey(a).localeCompare(getFindingKey(b)),
+    );
+  }
+  fs.mkdirSync(path.dirname(baselineFile), { recursive: true });
+  fs.writeFileSync(baselineFile, `${JSON.stringify({ files: sorted }, null, 2)}\n`);
+}
+
+/**
+ * Create a matcher telling whether a finding of a file is in the
+ * baseline. Each entry matches at most `count` findings.
+ * @param {BaselineEntry[]} entries
+ * @returns {(finding: { context: string, receiver: string, method: string }) => boolean}
+ */
+export function createBaselineMatcher(entries) {
+  const remaining = new Map();
+  for (const entry of entries) {
+    const key = getFindingKey(entry);
+    remaining.set(key, (remaining.get(key) ?? 0) + entry.count);
+  }
+  return (finding) => {
+    const key = getFindingKey(finding);
+    const count = remaining.get(key) ?? 0;
+    if (count === 0) return false;
+    remaining.set(key, count - 1);
+    return true;
+  };
+}
+
+/**
+ * Count findings into baseline entries
+ * @param {Array<{ context: string, receiver: string, method: string }>} findings
+ * @returns {BaselineEntry[]}
+ */
+function countFindings(findings) {
+  const entries = new Map();
+  for (const finding of findings) {
+    const key = getFindingKey(finding);
+    if (!entries.has(key)) {
+      const { context, receiver, method } = finding;
+      entries.set(key, { context, receiver, method, count: 0 });
+    }
+    entries.get(key).count++;
+  }
+  return [...entries.values()];
+}
+
+/**
+ * Build baseline entries from the findings the rule recorded while
+ * linting, baselined or not, for every linted file
+ * @param {import('eslint').ESLint.LintResult[]} results
+ * @param {string} cwd
+ * @returns {BaselineFiles}
+ */
+export function collectBaseline(results, cwd) {
+  const files = {};
+  for (const result of results) {
+    const entries = countFindings(getFindings(result.filePath));
+    if (entries.length > 0) {
+      files[getBaselineFileKey(cwd, result.filePath)] = entries;
+    }
+  }
+  return files;
+}
+
+/**
+ * Replace the entries of the linted files in a baseline, keeping the
+ * entries of files that were not linted
+ * @param {BaselineFiles} previous
+ * @param {BaselineFiles} current entries of the linted files
+ * @param {string[]} linted keys of the linted files
+ * @returns {BaselineFiles}
+ */
+export function mergeBaseline(previous, current, linted) {
+  const files = {};
+  for (const [file, entries] of Object.entries(previous)) {
+    if (!linted.includes(file)) files[file] = entries;
+  }
+  return { ...files, ...current };
+}
+
+/**
+ * Shrink a baseline to the findings that still exist: entries of linted
+ * files are capped at their current count, and files that no longer exist
+ * are dropped. Findings that are not in the baseline are not added.
+ * @param {BaselineFiles} previous
+ * @param {BaselineFiles} current entries of the linted files
+ * @param {string[]} linted keys of the linted files
+ * @param {string} cwd
+ * @returns {BaselineFiles}
+ */
+export function pruneBaseline(previous, current, linted, cwd) {
+  const files = {};
+  for (const [file, entries] of Object.entries(previous)) {
+    if (!linted.includes(file)) {
+      if (fs.existsSync(path.resolve(cwd, file))) files[file] = entries;
+      continue;
+    }
+    const counts = new Map(
+      (current[file] ?? []).map((entry) => [getFindingKey(entry), entry.count]),
+    );
+    const kept = entries
+      .map((entry) => ({
+        ...entry,
+        count: Math.min(entry.count, counts.get(getFindingKey(entry)) ?? 0),
+      }))
+      .filter((entry) => entry.count > 0);
+    if (kept.length > 0) files[file] = kept;
+  }
+  return files;
+}
+
+/**
+ * Count the findings of a baseline
+ * @param {BaselineFiles} files
+ */
+export function countBaseline(files) {
+  return Object.values(files)
+    .flat()
+    .reduce((total, entry) => total + entry.count, 0);
+}
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Applying prefer-bind suggestions in bulk
+ *
+ * `eslint --fix` only applies fixes, and prefer-bind offers most of its
+ * rewrites as suggestions. The `prefer-bind-codemod` CLI collects the
+ * .bind() and direct reference suggestions from the lint results and
+ * applies them, or prints them as a unified diff.
+ *
+ * Files whose suggestions overlap, like nested wrappers, are left alone:
+ * applying one would invalidate the other.
+ */
+
+// Suggestions that replace a wrapper with .bind() or the bound reference,
+// including the timer rewrites that move arguments after the delay
+const codemodSuggestions = ["preferBindSuggestion", "preferDirectReferenceSuggestion"];
+
+// Unchanged lines shown around each change in a diff
+const contextLines = 3;
+
+/**
+ * @typedef {object} Edit
+ * @property {[number, number]} range
+ * @property {string} text
+ */
+
+/**
+ * Get the edits of the prefer-bind suggestions in the messages of a file,
+ * in source order
+ * @param {import('eslint').Linter.LintMessage[]} messages
+ * @returns {Edit[]}
+ */
+export function getCodemodEdits(messages) {
+  const edits = [];
+  for (const message of messages) {
+    if (!message.ruleId?.endsWith("/prefer-bind")) continue;
+    const suggestion = message.suggestions?.find((s) =>
+      codemodSuggestions.includes(s.messageId),
+    );
+    if (suggestion) edits.push(suggestion.fix);
+  }
+  return edits.sort((a, b) => a.range[0] - b.range[0] || a.range[1] - b.range[1]);
+}
+
+/**
+ * Check if any two edits, in source order, replace overlapping text
+ * @param {Edit[]} edits
+ */
+export function hasOverlappingEdits(edits) {
+  return edits.some((edit, i) => i > 0 && edit.range[0] < edits[i - 1].range[1]);
+}
+
+/**
+ * Apply non-overlapping edits, in source order, to a text
+ * @param {string} text
+ * @param {Edit[]} edits
+ * @param {number} [offset] position of the text in the source the edit ranges refer to
+ */
+export function applyEdits(text, edits, offset = 0) {
+  let output = "";
+  let position = 0;
+  for (const edit of edits) {
+    output += text.slice(position, edit.range[0] - offset) + edit.text;
+    position = edit.range[1] - offset;
+  }
+  return output + text.slice(position);
+}
+
+/**
+ * Create a unified diff of the changes non-overlapping edits, in source
+ * order, make to a file
+ * @param {string} filename path shown in the diff header
+ * @param {string} text
+ * @param {Edit[]} edits
+ */
+export function createUnifiedDiff(filename, text, edits) {
+  if (edits.length === 0) return "";
+  const lines = text.split("\n");
+  // The empty string after a final newline is not a line
+  const lastLine = lines.length - (text.endsWith("\n") ? 2 : 1);
+  const lineStarts = [0];
+  for (const line of lines) {
+    lineStarts.push(lineStarts.at(-1) + line.length + 1);
+  }
+  const getLine = (index) =>
+    lineStarts.findLastIndex((start, line) => start <= index && line < lines.length);
+
+  // Whole lines changed by the edits, merging edits on shared or adjacent lines
+  const changes = [];
+  for (const edit of edits) {
+    const first = getLine(edit.range[0]);
+    const last = Math.max(first, getLine(edit.range[1]));
+    const previous = changes.at(-1);
+    if (previous && first <= previous.last + 1) {
+      previous.last = Math.max(previous.last, last);
+      previous.edits.push(edit);
+    } else {
+      changes.push({ first, last, edits: [edit] });
+    }
+  }
+
+  // Changes with few enough lines between them share a hunk
+  const hunks = [];
+  for (const change of changes) {
+    const previous = hunks.at(-1);
+    if (previous && change.first - previous.at(-1).last <= contextLines * 2 + 1) {
+      previous.push(change);
+    } else {
+      hunks.push([change]);
+    }
+  }
+
+  const output = [`--- a/${filename}`, `+++ b/${filename}`];
+  // Lines added minus lines removed by the hunks so far
+  let delta = 0;
+  for (const hunk of hunks) {
+    const start = Math.max(0, hunk[0].first - contextLines);
+    const end = Math.min(lastLine, hunk.at(-1).last + contextLines);
+    const body = [];
+    let oldCount = 0;
+    let newCount = 0;
+    let line = start;
+    for (const change of hunk) {
+      for (; line < change.first; line++, oldCount++, newCount++) {
+        body.push(` ${lines[line]}`);
+      }
+      const oldLines = lines.slice(change.first, change.last + 1);
+      const newLines = applyEdits(
+        oldLines.join("\n"),
+        change.edits,
+        lineStarts[change.first],
+      ).split("\n");
+      body.push(...oldLines.map((l) => `-${l}`), ...newLines.map((l) => `+${l}`));
+      oldCount += oldLines.length;
+      newCount += newLines.length;
+      line = change.last + 1;
+    }
+    for (; line <= end; line++, oldCount++, newCount++) {
+      body.push(` ${lines[line]}`);
+    }
+    output.push(
+      `@@ -${start + 1},${oldCount} +${start + 1 + delta},${newCount} @@`,
+      ...body,
+    );
+    delta += newCount - oldCount;
+  }
+  return `${output.join("\n")}\n`;
+}
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview In-process record of prefer-bind findings for the summary
+ * formatters
+ *
+ * ESLint does not pass report `data` on to formatters, so the rule records
+ * the triage data of each report here, keyed by file. Formatters loaded by
+ * the same ESLint process look findings up by position. Files served from
+ * the ESLint cache, or linted in worker threads, have no record; formatters
+ * fall back to what the lint message itself carries.
+ */
+
+/**
+ * @typedef {object} Finding
+ * @property {number} line 1-based, as in lint messages
+ * @property {number} column 1-based, as in lint messages
+ * @property {string} messageId
+ * @property {string} context the function or sink the callback is stored by
+ * @property {"low" | "medium" | "high" | "none"} risk of the context, "none"
+ *   outside long-lived contexts
+ * @property {string} receiver source of the object the method is called on
+ * @property {string} method
+ * @property {boolean} async
+ * @property {"safe" | "review" | "none"} fixSafety whether the rewrite is
+ *   proven equivalent, offered as a suggestion to review, or not offered
+ * @property {boolean} baselined whether the finding is in the baseline, and
+ *   so was not reported
+ */
+
+/** @type {Map<string, Finding[]>} */
+const findingsByFile = new Map();
+
+/**
+ * Forget the findings of a file, before it is linted again
+ * @param {string} filename
+ */
+export function resetFindings(filename) {
+  findingsByFile.delete(filename);
+}
+
+/**
+ * Record a finding of a file
+ * @param {string} filename
+ * @param {Finding} finding
+ */
+export function recordFinding(filename, finding) {
+  if (!findingsByFile.has(filename)) findingsByFile.set(filename, []);
+  findingsByFile.get(filename).push(finding);
+}
+
+/**
+ * Get the recorded findings of a file, including baselined ones
+ * @param {string} filename
+ * @returns {Finding[]}
+ */
+export function getFindings(filename) {
+  return findingsByFile.get(filename) || [];
+}
+
+/**
+ * Find the recorded finding a lint message was reported for
+ * @param {string} filename
+ * @param {import('eslint').Linter.LintMessage} message
+ * @returns {Finding | null}
+ */
+export function getFinding(filename, message) {
+  return (
+    getFindings(filename).find(
+      (finding) =>
+        !finding.baselined &&
+        finding.line === message.line &&
+        finding.column === message.column &&
+        finding.messageId === message.messageId,
+    ) || null
+  );
+}
@@ -0,0 +1,12 @@
+/**
+ * @fileoverview ESLint formatter printing the leak-risk summary as JSON
+ *
+ * Usage: eslint -f ./node_modules/@kawaz/eslint-plugin-prefer-bind/lib/formatters/summary-json.js
+ */
+
+import { summarize } from "./summary.js";
+
+/** @type {import('eslint').ESLint.Formatter['format']} */
+export default function formatJson(results, context) {
+  return JSON.stringify(summarize(results, context?.cwd), null, 2);
+}
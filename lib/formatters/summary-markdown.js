@@ -0,0 +1,44 @@
+/**
+ * @fileoverview ESLint formatter printing the leak-risk summary as Markdown
+ *
+ * Usage: eslint -f ./node_modules/@kawaz/eslint-plugin-prefer-bind/lib/formatters/summary-markdown.js
+ */
+
+import { summarize } from "./summary.js";
+
+/**
+ * Render a ranking as a two-column table
+ */
+function renderRanking(title, heading, ranking) {
+  if (ranking.length === 0) return [];
+  return [
+    `### ${title}`,
+    "",
+    `| ${heading} | Findings |`,
+    "|---|---:|",
+    ...ranking.map(
+      ({ name, count }) => `| \`${name.replaceAll("|", "\\|")}\` | ${count} |`,
+    ),
+    "",
+  ];
+}
+
+/** @type {import('eslint').ESLint.Formatter['format']} */
+export default function formatMarkdown(results, context) {
+  const summary = summarize(results, context?.cwd);
+  const { safe, review, none } = summary.fixSafety;
+  return [
+    "## prefer-bind leak-risk summary",
+    "",
+    `${summary.total} findings in ${summary.files} files (${summary.async} async).`,
+    "",
+    `Fixes: ${safe} safe to autofix, ${review} to review, ${none} without a rewrite.`,
+    "",
+    ...renderRanking("Hotspots", "Wrapped call", summary.hotspots),
+    ...renderRanking("By risk", "Risk", summary.byRisk),
+    ...renderRanking("By context", "Context", summary.byContext),
+    ...renderRanking("By file", "File", summary.byFile),
+    ...renderRanking("By receiver", "Receiver", summary.byReceiver),
+    ...renderRanking("By rule", "Rule", summary.byRule),
+  ].join("\n");
+}
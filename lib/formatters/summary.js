@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Aggregating lint results into a leak-risk summary, shared by
+ * the JSON and Markdown formatters
+ */
+
+import path from "node:path";
+import { getFinding } from "../findings.js";
+import plugin from "../index.js";
+
+// Number of entries kept in each ranking
+const rankingSize = 10;
+
+/**
+ * Check if a lint message comes from one of this plugin's rules, under
+ * whatever namespace the plugin is registered
+ */
+function isPluginMessage(message) {
+  if (!message.ruleId?.includes("/")) return false;
+  const name = message.ruleId.slice(message.ruleId.lastIndexOf("/") + 1);
+  return Object.hasOwn(plugin.rules, name);
+}
+
+/**
+ * Count values and rank them, most frequent first
+ * @param {string[]} values
+ * @returns {Array<{ name: string, count: number }>}
+ */
+function rank(values) {
+  const counts = new Map();
+  for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+  return [...counts]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    .slice(0, rankingSize);
+}
+
+/**
+ * Summarize the plugin's findings in a set of lint results
+ * @param {import('eslint').ESLint.LintResult[]} results
+ * @param {string} [cwd] directory file paths are shown relative to
+ */
+export function summarize(results, cwd = process.cwd()) {
+  const findings = [];
+  for (const result of results) {
+    const file = path.relative(cwd, result.filePath);
+    for (const message of result.messages) {
+      if (!isPluginMessage(message)) continue;
+      // Unrecorded findings (cached files, other rules) only have a rule
+      const finding = getFinding(result.filePath, message);
+      findings.push({
+        file,
+        line: message.line,
+        ruleId: message.ruleId,
+        context: finding?.context ?? "(unknown)",
+        risk: finding?.risk ?? "(unknown)",
+        receiver: finding?.receiver ?? "(unknown)",
+        method: finding?.method ?? "(unknown)",
+        async: finding?.async ?? false,
+        fixSafety: finding?.fixSafety ?? "none",
+      });
+    }
+  }
+
+  const detailed = findings.filter((finding) => finding.receiver !== "(unknown)");
+  const fixSafety = { safe: 0, review: 0, none: 0 };
+  for (const finding of findings) fixSafety[finding.fixSafety]++;
+
+  return {
+    total: findings.length,
+    files: new Set(findings.map((finding) => finding.file)).size,
+    async: findings.filter((finding) => finding.async).length,
+    fixSafety,
+    byRule: rank(findings.map((finding) => finding.ruleId)),
+    byRisk: rank(detailed.map((finding) => finding.risk)),
+    byContext: rank(detailed.map((finding) => finding.context)),
+    byFile: rank(findings.map((finding) => finding.file)),
+    byReceiver: rank(detailed.map((finding) => finding.receiver)),
+    // The same method wrapped for the same context over and over is
+    // usually fixed once, at its definition or with a shared bound field
+    hotspots: rank(
+      detailed.map(
+        (finding) =>
+          `${finding.receiver}.${finding.method} via ${finding.context}`,
+      ),
+    ),
+  };
+}
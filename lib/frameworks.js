@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Framework-specific handling enabled with the `frameworks`
+ * option of `prefer-bind`
+ *
+ * - `presets`: the context presets a framework implies
+ * - `effects`: functions whose callback may return a cleanup function,
+ *   which is kept until the effect re-runs or the component goes away.
+ *   Enabling the framework's preset with `presets` covers them too.
+ * - `renderBodies`: whether components and hooks run on every render, so
+ *   that a new .bind() in their body breaks memoization
+ */
+
+/** @type {Record<string, { presets: string[], effects: string[], renderBodies: boolean }>} */
+export const frameworks = {
+  react: {
+    presets: ["react"],
+    effects: ["useEffect", "useLayoutEffect", "useInsertionEffect"],
+    renderBodies: true,
+  },
+  vue: {
+    presets: ["vue"],
+    effects: [],
+    renderBodies: false,
+  },
+  svelte: {
+    presets: ["svelte"],
+    effects: ["onMount", "$effect", "$effect.pre"],
+    renderBodies: false,
+  },
+};
+
+/**
+ * Check if a function is a React component or hook, going by its name:
+ * `function Counter()`, `const useTimer = () => ...`,
+ * `const Row = memo(function () { ... })`
+ * @param {import('estree').Function} node
+ */
+export function isComponentOrHook(node) {
+  let name = null;
+  if (node.type === "FunctionDeclaration") {
+    name = node.id?.name;
+  } else {
+    let current = node;
+    // memo(...), forwardRef(...) and React.memo(...) wrap components
+    while (
+      current.parent.type === "CallExpression" &&
+      current.parent.arguments[0] === current
+    ) {
+      current = current.parent;
+    }
+    const parent = current.parent;
+    if (parent.type === "VariableDeclarator" && parent.id.type === "Identifier") {
+      name = parent.id.name;
+    } else if (parent.type === "ExportDefaultDeclaration") {
+      name = node.id?.name;
+    }
+  }
+  return !!name && /^(?:[A-Z]|use[A-Z0-9])/.test(name);
+}
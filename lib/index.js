@@ -1,4 +1,7 @@
+import noClosureInAbortSignal from "./rules/no-closure-in-abort-signal.js";
+import noUnremovableListener from "./rules/no-unremovable-listener.js";
 import preferBind from "./rules/prefer-bind.js";
+import preferOnceOrSignal from "./rules/prefer-once-or-signal.js";
 
 const plugin = {
   meta: {
@@ -7,7 +10,52 @@ const plugin = {
   },
   rules: {
     "prefer-bind": preferBind,
+    "no-unremovable-listener": noUnremovableListener,
+    "no-closure-in-abort-signal": noClosureInAbortSignal,
+    "prefer-once-or-signal": preferOnceOrSignal,
   },
+  configs: {},
 };
 
+// Rule settings keyed by rule name, shared by flat and legacy configs
+const ruleSets = {
+  recommended: {
+    "prefer-bind": "warn",
+  },
+  strict: {
+    "prefer-bind": [
+      "warn",
+      { onlyInLongLivedContexts: false, includeAsync: true },
+    ],
+    "no-unremovable-listener": "warn",
+    "no-closure-in-abort-signal": "warn",
+    "prefer-once-or-signal": "warn",
+  },
+  all: Object.fromEntries(Object.keys(plugin.rules).map((name) => [name, "warn"])),
+};
+
+/**
+ * Prefix rule names with the namespace the plugin is registered under
+ */
+function prefixRules(rules, namespace) {
+  return Object.fromEntries(
+    Object.entries(rules).map(([name, setting]) => [`${namespace}/${name}`, setting]),
+  );
+}
+
+for (const [name, rules] of Object.entries(ruleSets)) {
+  // Flat config (eslint.config.js)
+  plugin.configs[`flat/${name}`] = {
+    name: `prefer-bind/${name}`,
+    plugins: { "prefer-bind": plugin },
+    rules: prefixRules(rules, "prefer-bind"),
+  };
+  // Legacy config (.eslintrc), for ESLint 8
+  plugin.configs[name] = {
+    plugins: ["@kawaz/prefer-bind"],
+    rules: prefixRules(rules, "@kawaz/prefer-bind"),
+  };
+}
+
+export { contextPresets } from "./presets.js";
 export default plugin;
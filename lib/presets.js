@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Curated `longLivedContexts` lists for common environments
+ *
+ * Enable them with the `presets` option of `prefer-bind`, or spread them
+ * into your own `longLivedContexts`.
+ */
+
+// Timers and queues shared by browsers, Node and Bun
+const timers = [
+  { method: "setTimeout", argIndex: 0 },
+  { method: "setInterval", argIndex: 0 },
+  { method: "queueMicrotask", argIndex: 0 },
+];
+
+/** @type {Record<string, Array<string | object>>} */
+export const contextPresets = {
+  dom: [
+    ...timers,
+    { method: "addEventListener", argIndex: 1 },
+    { method: "requestAnimationFrame", argIndex: 0 },
+    { method: "requestIdleCallback", argIndex: 0 },
+    { method: "MutationObserver", argIndex: 0 },
+    { method: "ResizeObserver", argIndex: 0 },
+    { method: "IntersectionObserver", argIndex: 0 },
+    { method: "PerformanceObserver", argIndex: 0 },
+  ],
+
+  node: [
+    ...timers,
+    { method: "setImmediate", argIndex: 0 },
+    { object: "process", method: "nextTick", argIndex: 0 },
+    { method: "on", argIndex: 1 },
+    { method: "once", argIndex: 1 },
+    { method: "addListener", argIndex: 1 },
+    { method: "prependListener", argIndex: 1 },
+    { method: "prependOnceListener", argIndex: 1 },
+    { object: "fs", method: "watch" },
+    { object: "fs", method: "watchFile" },
+  ],
+
+  react: [
+    { method: "useEffect", argIndex: 0 },
+    { method: "useLayoutEffect", argIndex: 0 },
+    { method: "useInsertionEffect", argIndex: 0 },
+    { method: "useSyncExternalStore", argIndex: 0 },
+  ],
+
+  rxjs: [
+    { method: "subscribe" },
+    { method: "Observable", argIndex: 0 },
+    { method: "tap" },
+    { method: "finalize", argIndex: 0 },
+    { method: "catchError", argIndex: 0 },
+    { method: "switchMap", argIndex: 0 },
+    { method: "mergeMap", argIndex: 0 },
+    { method: "concatMap", argIndex: 0 },
+    { method: "exhaustMap", argIndex: 0 },
+  ],
+
+  vue: [
+    { method: "watch", argIndex: 1 },
+    { method: "watchEffect", argIndex: 0 },
+    { method: "watchPostEffect", argIndex: 0 },
+    { method: "watchSyncEffect", argIndex: 0 },
+    { method: "onMounted", argIndex: 0 },
+    { method: "onUpdated", argIndex: 0 },
+    { method: "onBeforeUnmount", argIndex: 0 },
+    { method: "onUnmounted", argIndex: 0 },
+    { method: "onActivated", argIndex: 0 },
+    { method: "onDeactivated", argIndex: 0 },
+    { method: "onScopeDispose", argIndex: 0 },
+    // Cleanup callbacks of watch() and watchEffect()
+    { method: "onCleanup", argIndex: 0 },
+    { method: "onWatcherCleanup", argIndex: 0 },
+  ],
+
+  svelte: [
+    { method: "onMount", argIndex: 0 },
+    { method: "onDestroy", argIndex: 0 },
+    { method: "beforeUpdate", argIndex: 0 },
+    { method: "afterUpdate", argIndex: 0 },
+    { method: "$effect", argIndex: 0 },
+    { object: "$effect", method: "pre", argIndex: 0 },
+  ],
+
+  bun: [
+    ...timers,
+    { method: "setImmediate", argIndex: 0 },
+    { object: "process", method: "on", argIndex: 1 },
+    { object: "process", method: "once", argIndex: 1 },
+    { object: "Bun", method: "serve", argIndex: 0 },
+    { object: "Bun", method: "spawn" },
+    { object: "Bun", method: "listen", argIndex: 0 },
+    { object: "Bun", method: "connect", argIndex: 0 },
+  ],
+};
+
+/**
+ * Get the `longLivedContexts` entries of the named presets, in order
+ * @param {string[]} names
+ * @returns {Array<string | object>}
+ */
+export function expandPresets(names) {
+  return names.flatMap((name) => contextPresets[name]);
+}
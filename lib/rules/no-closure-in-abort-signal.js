@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Prefer AbortSignal APIs over closures that forward aborts
+ *
+ * Detects patterns like:
+ *   parent.addEventListener('abort', () => controller.abort());
+ *   parent.addEventListener('abort', controller.abort.bind(controller));
+ *   setTimeout(() => controller.abort(), 5000);
+ *   signal.addEventListener('abort', onAbort);
+ *
+ * And suggests:
+ *   AbortSignal.any([parent, controller.signal])
+ *   AbortSignal.timeout(5000)
+ *   signal.addEventListener('abort', onAbort, { once: true })
+ *
+ * Forwarding listeners stay registered on the parent signal for as long as
+ * it lives, keeping the controller (and, for closures, the whole
+ * surrounding scope) alive. Abort listeners without `once` are kept even
+ * after the abort they were waiting for has happened.
+ */
+
+import {
+  findProperty,
+  getCalleeName,
+  getStaticString,
+  isBindCall,
+  isFunctionNode,
+} from "../utils/ast.js";
+import { getAddOptionFix, hasLifetimeOption } from "../utils/listener-options.js";
+import { getMethodCall, getWrappedCall } from "../utils/method-call.js";
+
+/** @type {import('eslint').Rule.RuleModule} */
+const rule = {
+  meta: {
+    type: "suggestion",
+    docs: {
+      description:
+        "Prefer AbortSignal.any(), AbortSignal.timeout() and { once: true } over closures that forward aborts",
+      recommended: false,
+    },
+    hasSuggestions: true,
+    schema: [],
+    messages: {
+      manualForwarding:
+        "Abort listener on '{{signal}}' forwards to '{{controller}}' and stays registered as long as '{{signal}}' lives. Use AbortSignal.any([{{signal}}, {{controller}}.signal]), or register it with { once: true, signal }.",
+      timeoutAbort:
+        "Aborting '{{controller}}' from a timer keeps the callback alive until it fires. Use AbortSignal.timeout({{delay}}) (combined with AbortSignal.any() if needed).",
+      missingOnce:
+        "'abort' listener stays registered after '{{signal}}' aborts. Pass { once: true }.",
+      addOnceSuggestion: "Add { once: true }",
+    },
+  },
+
+  create(context) {
+    const sourceCode = context.sourceCode;
+
+    /**
+     * Get the controller a listener aborts: `controller` for
+     * () => controller.abort(), function() { controller.abort(reason); }
+     * and controller.abort.bind(controller). Returns null otherwise.
+     */
+    function getAbortedController(listener) {
+      if (isBindCall(listener)) {
+        const bound = listener.callee.object;
+        const thisArg = listener.arguments[0];
+        if (
+          bound.type !== "MemberExpression" ||
+          getCalleeName(bound) !== "abort" ||
+          !thisArg ||
+          sourceCode.getText(thisArg) !== sourceCode.getText(bound.object)
+        ) {
+          return null;
+        }
+        return bound.object;
+      }
+      if (!isFunctionNode(listener) || listener.async) return null;
+
+      const callExpr = getWrappedCall(listener);
+      const methodCall = callExpr && getMethodCall(sourceCode, callExpr, true);
+      if (!methodCall || methodCall.optional || methodCall.method !== "abort") {
+        return null;
+      }
+      return methodCall.object;
+    }
+
+    /**
+     * Check an addEventListener('abort', ...) call
+     */
+    function checkAbortListener(node) {
+      const [eventArg, listener, optionsArg] = node.arguments;
+      if (!listener || getStaticString(eventArg) !== "abort") return;
+      const signalText = sourceCode.getText(node.callee.object);
+
+      // A signal in the options already removes the listener
+      const hasSignal =
+        optionsArg?.type === "ObjectExpression" &&
+        !!findProperty(optionsArg, "signal");
+      const controller = !hasSignal && getAbortedController(listener);
+      if (controller) {
+        context.report({
+          node: listener,
+          messageId: "manualForwarding",
+          data: {
+            signal: signalText,
+            controller: sourceCode.getText(controller),
+          },
+        });
+        return;
+      }
+
+      // Options that cannot be inspected, an explicit `once` (even false)
+      // and a signal removing the listener are left alone
+      if (hasLifetimeOption(optionsArg)) return;
+
+      const fix = getAddOptionFix(node, "once: true");
+      context.report({
+        node,
+        messageId: "missingOnce",
+        data: { signal: signalText },
+        suggest: fix ? [{ messageId: "addOnceSuggestion", fix }] : [],
+      });
+    }
+
+    /**
+     * Check a setTimeout call whose callback aborts a controller. Intervals
+     * keep firing, which AbortSignal.timeout() does not replace.
+     */
+    function checkTimer(node) {
+      const [callback, delayArg] = node.arguments;
+      if (!callback) return;
+      const controller = getAbortedController(callback);
+      if (!controller) return;
+
+      context.report({
+        node: callback,
+        messageId: "timeoutAbort",
+        data: {
+          controller: sourceCode.getText(controller),
+          delay: delayArg ? sourceCode.getText(delayArg) : "0",
+        },
+      });
+    }
+
+    return {
+      CallExpression(node) {
+        const name = getCalleeName(node.callee);
+        if (
+          name === "addEventListener" &&
+          node.callee.type === "MemberExpression"
+        ) {
+          checkAbortListener(node);
+        } else if (name === "setTimeout") {
+          checkTimer(node);
+        }
+      },
+    };
+  },
+};
+
+export default rule;
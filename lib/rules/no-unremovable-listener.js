@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Detect listeners that can never be removed
+ *
+ * Detects patterns like:
+ *   el.addEventListener('click', () => this.onClick());
+ *   el.removeEventListener('click', () => this.onClick());
+ *   emitter.on('data', this.onData.bind(this));
+ *   emitter.off('data', this.onData.bind(this));
+ *
+ * Every arrow function, function expression and .bind() call creates a new
+ * function, so the removal call can never match the registered listener and
+ * the listener (with everything it retains) stays alive as long as the
+ * target does. Listeners added without any removal, `{ once: true }` or
+ * `{ signal }` are reported as well.
+ */
+
+import {
+  getCalleeName,
+  getStaticString,
+  isBindCall,
+  isFunctionNode,
+} from "../utils/ast.js";
+import { isSelfRemoving, removeMethodsByAdd } from "../utils/listener-options.js";
+
+const removeMethods = ["removeEventListener", "removeListener", "off"];
+
+/** @type {import('eslint').Rule.RuleModule} */
+const rule = {
+  meta: {
+    type: "problem",
+    docs: {
+      description:
+        "Disallow event listeners whose identity prevents them from ever being removed",
+      recommended: false,
+    },
+    schema: [
+      {
+        type: "object",
+        properties: {
+          // Report listeners that are added but never removed
+          requireRemoval: {
+            type: "boolean",
+            default: true,
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
+    messages: {
+      neverMatches:
+        "'{{method}}' is given a new {{kind}}, which can never match a registered listener.",
+      identityMismatch:
+        "'{{event}}' listener is a new {{kind}}, so the '{{remove}}' call can never remove it. Store the listener in a variable or field and pass that to both calls.",
+      missingRemoval:
+        "'{{event}}' listener is never removed. Call 'removeEventListener', or pass { once: true } or { signal }.",
+      missingOff:
+        "'{{event}}' listener is never removed. Call '{{remove}}', or use 'once' instead of '{{method}}'.",
+    },
+  },
+
+  create(context) {
+    const options = context.options[0] || {};
+    const requireRemoval = options.requireRemoval !== false;
+
+    // Listener calls grouped by the class or function they appear in
+    const groups = new Map();
+
+    /**
+     * Get the node listener calls are matched within: the nearest enclosing
+     * class body, or else the nearest non-arrow function or the program.
+     * Arrow functions are looked through so that returned cleanup callbacks
+     * match the registrations next to them.
+     */
+    function getOwner(node) {
+      let owner = null;
+      for (let current = node.parent; current; current = current.parent) {
+        if (current.type === "ClassBody") return current;
+        const isFunction =
+          current.type === "FunctionExpression" ||
+          current.type === "FunctionDeclaration";
+        if (!owner && isFunction) {
+          owner = current;
+        }
+        if (current.type === "Program") return owner || current;
+      }
+      return owner;
+    }
+
+    /**
+     * Get what kind of new function a listener expression creates.
+     * Returns null for references that may be stable.
+     */
+    function getNewFunctionKind(node) {
+      if (isFunctionNode(node)) return "function";
+      if (isBindCall(node)) return "bound function";
+      return null;
+    }
+
+    return {
+      CallExpression(node) {
+        const callee = node.callee;
+        if (callee.type !== "MemberExpression" || node.arguments.length < 2) {
+          return;
+        }
+
+        const method = getCalleeName(callee);
+        const isAdd = Object.hasOwn(removeMethodsByAdd, method);
+        if (!isAdd && !removeMethods.includes(method)) return;
+
+        const [eventArg, listenerArg, optionsArg] = node.arguments;
+        const event =
+          getStaticString(eventArg) ?? context.sourceCode.getText(eventArg);
+
+        const owner = getOwner(node);
+        if (!groups.has(owner)) groups.set(owner, []);
+        groups.get(owner).push({
+          node,
+          isAdd,
+          method,
+          receiver: context.sourceCode.getText(callee.object),
+          event,
+          kind: getNewFunctionKind(listenerArg),
+          listener: listenerArg,
+          optionsArg,
+        });
+      },
+
+      "Program:exit"() {
+        for (const calls of groups.values()) {
+          for (const call of calls) {
+            if (!call.isAdd) {
+              if (call.kind) {
+                context.report({
+                  node: call.listener,
+                  messageId: "neverMatches",
+                  data: { method: call.method, kind: call.kind },
+                });
+              }
+              continue;
+            }
+
+            const removals = calls.filter(
+              (other) =>
+                !other.isAdd &&
+                removeMethodsByAdd[call.method].includes(other.method) &&
+                other.receiver === call.receiver &&
+                other.event === call.event,
+            );
+
+            if (removals.length > 0) {
+              if (call.kind) {
+                context.report({
+                  node: call.listener,
+                  messageId: "identityMismatch",
+                  data: {
+                    event: call.event,
+                    kind: call.kind,
+                    remove: removals[0].method,
+                  },
+                });
+              }
+              continue;
+            }
+
+            if (!requireRemoval) continue;
+            if (call.method !== "addEventListener") {
+              context.report({
+                node: call.node,
+                messageId: "missingOff",
+                data: {
+                  event: call.event,
+                  method: call.method,
+                  remove: removeMethodsByAdd[call.method][0],
+                },
+              });
+            } else if (isSelfRemoving(call.optionsArg) === false) {
+              context.report({
+                node: call.node,
+                messageId: "missingRemoval",
+                data: { event: call.event },
+              });
+            }
+          }
+        }
+      },
+    };
+  },
+};
+
+export default rule;
@@ -13,6 +13,61 @@
  * a reference to the object.
  */
 
+import path from "node:path";
+import { getCalleeName, getMemberPath, isFunctionNode } from "../utils/ast.js";
+import {
+  contextEntrySchema,
+  createContextMatcher,
+  defaultContextRisks,
+  defaultLongLivedContexts,
+  namesReceiver,
+  riskLevels,
+} from "../utils/contexts.js";
+import {
+  createBaselineMatcher,
+  getBaselineFileKey,
+  readBaseline,
+} from "../baseline.js";
+import { recordFinding, resetFindings } from "../findings.js";
+import { frameworks, isComponentOrHook } from "../frameworks.js";
+import { contextPresets, expandPresets } from "../presets.js";
+import { detectTargetRuntime, targetRuntimes } from "../runtime.js";
+import { getMethodCall, getWrappedCall } from "../utils/method-call.js";
+import {
+  inferRegistrars,
+  readRegistrarCache,
+  writeRegistrarCache,
+} from "../utils/registrars.js";
+import {
+  getUnsafeRewriteReason,
+  isMethodReplaced,
+  usesPrivateName,
+} from "../utils/rewrite-safety.js";
+import {
+  findVariable,
+  getRetainedBindings,
+  isStableExpression,
+} from "../utils/scope.js";
+import { createSinkMatcher, sinksSchema } from "../utils/sinks.js";
+import {
+  defaultLongLivedTypes,
+  getMemberKind,
+  getTypeServices,
+  isLongLivedReceiver,
+} from "../utils/types.js";
+
+// Words that cannot be used as a hoisted variable name
+const reservedWords = [
+  "break", "case", "catch", "class", "const", "continue", "debugger",
+  "default", "delete", "do", "else", "enum", "export", "extends", "false",
+  "finally", "for", "function", "if", "import", "in", "instanceof", "let",
+  "new", "null", "return", "static", "super", "switch", "this", "throw",
+  "true", "try", "typeof", "var", "void", "while", "with", "yield", "await",
+];
+
+// Nodes whose children are statements that a declaration can precede
+const statementContainers = ["Program", "BlockStatement", "StaticBlock", "SwitchCase"];
+
 /** @type {import('eslint').Rule.RuleModule} */
 const rule = {
   meta: {
@@ -28,106 +83,313 @@ const rule = {
       {
         type: "object",
         properties: {
+          // Engine the code runs on, setting the defaults below (default: detected)
+          targetRuntime: {
+            enum: Object.keys(targetRuntimes),
+          },
           // Only warn when passed to specific functions known to hold references long-term
+          // (default: false for "jsc", true otherwise)
           onlyInLongLivedContexts: {
             type: "boolean",
-            default: true,
           },
-          // Functions that are known to hold callbacks long-term
+          // Functions that are known to hold callbacks long-term: names, "/regex/",
+          // globs, dotted paths or { object, method, argIndex } objects
           longLivedContexts: {
             type: "array",
-            items: { type: "string" },
-            default: [
-              "addEventListener",
-              "setTimeout",
-              "setInterval",
-              "on",
-              "once",
-              "subscribe",
-            ],
+            items: contextEntrySchema,
+            default: defaultLongLivedContexts,
+          },
+          // Curated context lists added to longLivedContexts
+          presets: {
+            type: "array",
+            items: { enum: Object.keys(contextPresets) },
+            uniqueItems: true,
+            default: [],
+          },
+          // Framework-aware handling of effect cleanups and render bodies
+          frameworks: {
+            type: "array",
+            items: { enum: Object.keys(frameworks) },
+            uniqueItems: true,
+            default: [],
+          },
+          // Treat functions that keep a callback parameter alive as long-lived contexts
+          inferRegistrars: {
+            type: "boolean",
+            default: false,
+          },
+          // JSON file sharing inferred registrars between files (rewritten by every
+          // file, so entries may be lost with --concurrency)
+          registrarCache: {
+            type: "string",
+          },
+          // Places other than call arguments that store callbacks long-term
+          sinks: sinksSchema,
+          // JSON file of known findings that are not reported
+          baseline: {
+            type: "string",
           },
           // Include async functions (warning only, no auto-fix since behavior may differ)
           includeAsync: {
             type: "boolean",
             default: false,
           },
+          // Only report callbacks in contexts of at least this risk
+          // (default: "high" for "v8", "low" otherwise)
+          minimumRisk: {
+            enum: riskLevels,
+          },
+          // Use scope analysis to report only closures that retain more than .bind() would
+          scopeAnalysis: {
+            type: "boolean",
+            default: false,
+          },
+          // Apply rewrites that are proven equivalent as fixes, not only suggestions
+          autofix: {
+            type: "boolean",
+            default: false,
+          },
+          // Suggest one bound class field for methods wrapped repeatedly in a class
+          groupClassBindings: {
+            type: "boolean",
+            default: false,
+          },
+          // Report closures made of several no-argument method calls, suggesting a factory
+          multiStatement: {
+            type: "boolean",
+            default: false,
+          },
+          // Use type information when typed linting is set up (typescript-eslint)
+          typeAware: {
+            type: "boolean",
+            default: true,
+          },
+          // Receiver types whose methods hold callbacks long-term (type-aware mode)
+          longLivedTypes: {
+            type: "array",
+            items: { type: "string" },
+            default: defaultLongLivedTypes,
+          },
         },
         additionalProperties: false,
       },
     ],
     messages: {
       preferBind:
-        "Prefer '{{replacement}}' over closure wrapper to avoid capturing surrounding scope.",
+        "{{riskLabel}}Prefer '{{replacement}}' over closure wrapper to avoid capturing surrounding scope.",
+      preferBindCaptures:
+        "{{riskLabel}}Prefer '{{replacement}}' over closure wrapper: the closure keeps {{captured}} alive.",
+      noSafeRewriteOptional:
+        "{{riskLabel}}Closure wrapper around '{{call}}' captures surrounding scope, but optional chaining has no equivalent .bind() rewrite. Check for the receiver before registering the callback.",
+      impureReceiver:
+        "{{riskLabel}}Closure wrapper captures surrounding scope, but '{{receiver}}' may have side effects and .bind() would evaluate it twice. Assign it to a variable first.",
+      preferDirectReference:
+        "{{riskLabel}}'{{replacement}}' is already bound; pass it directly instead of wrapping it.",
+      preferPlainReference:
+        "{{riskLabel}}'{{replacement}}' does not use a receiver; pass it directly instead of wrapping it. It will then receive the arguments the callback is called with.",
+      preferFactory:
+        "{{riskLabel}}Closure only calls methods on {{receivers}}, but keeps its whole enclosing scope alive. Create it in a module-level factory that takes only {{receivers}}.",
+      preferBoundField:
+        "{{riskLabel}}'this.{{method}}' is wrapped {{count}} times in this class (lines {{lines}}). Bind it once with 'this.{{method}} = this.{{method}}.bind(this)' and reuse it.",
+      preferModuleBinding:
+        "{{riskLabel}}Closure wrapper in a render body creates a new function on every render, and so would '{{replacement}}'. Bind it once at module level and pass '{{name}}'.",
       preferBindSuggestion: "Replace with .bind()",
+      preferDirectReferenceSuggestion: "Pass the bound property directly",
+      preferPlainReferenceSuggestion: "Pass the function directly",
+      hoistReceiverSuggestion:
+        "Assign '{{receiver}}' to '{{name}}' before the statement and bind it",
+      preferFactorySuggestion: "Move the closure into a '{{name}}' factory",
+      preferBoundFieldSuggestion:
+        "Declare a bound '{{method}}' field and use it at every site",
+      preferModuleBindingSuggestion: "Bind it once at module level as '{{name}}'",
     },
   },
 
   create(context) {
     const options = context.options[0] || {};
-    const onlyInLongLivedContexts = options.onlyInLongLivedContexts !== false;
-    const longLivedContexts = options.longLivedContexts || [
-      "addEventListener",
-      "setTimeout",
-      "setInterval",
-      "on",
-      "once",
-      "subscribe",
-    ];
+    const runtime =
+      targetRuntimes[
+        options.targetRuntime ?? detectTargetRuntime(context.cwd, context.filename)
+      ];
+    const onlyInLongLivedContexts =
+      options.onlyInLongLivedContexts ?? runtime.onlyInLongLivedContexts;
+    const enabledFrameworks = (options.frameworks || []).map(
+      (name) => frameworks[name],
+    );
+    const presets = new Set([
+      ...(options.presets || []),
+      ...enabledFrameworks.flatMap((framework) => framework.presets),
+    ]);
+    const matchContext = createContextMatcher([
+      ...(options.longLivedContexts || defaultLongLivedContexts),
+      ...expandPresets([...presets]),
+    ]);
+    // Effect cleanups come with the framework's preset, enabled either way
+    const effects = Object.values(frameworks)
+      .filter((framework) => framework.presets.some((name) => presets.has(name)))
+      .flatMap((framework) => framework.effects);
+    const renderBodies = enabledFrameworks.some(
+      (framework) => framework.renderBodies,
+    );
     const includeAsync = options.includeAsync || false;
+    const minimumRisk = riskLevels.indexOf(
+      options.minimumRisk ?? runtime.minimumRisk,
+    );
+    const scopeAnalysis = options.scopeAnalysis || false;
+    const typeServices =
+      options.typeAware !== false ? getTypeServices(context.sourceCode) : null;
+    const longLivedTypes = options.longLivedTypes || defaultLongLivedTypes;
+    const groupClassBindings = options.groupClassBindings || false;
+    const autofix = options.autofix || false;
+    const multiStatement = options.multiStatement || false;
+    const registrarCache =
+      options.inferRegistrars && options.registrarCache
+        ? path.resolve(context.cwd, options.registrarCache)
+        : null;
+
+    const baselineFile = options.baseline
+      ? path.resolve(context.cwd, options.baseline)
+      : null;
+    const isBaselined = baselineFile
+      ? createBaselineMatcher(
+          readBaseline(baselineFile)[
+            getBaselineFileKey(context.cwd, context.filename)
+          ] ?? [],
+        )
+      : () => false;
+
+    // Registrars inferred for this file, set up once the program is seen
+    let matchRegistrar = () => null;
+
+    // Wrappers of this.method() deferred until the whole class is seen,
+    // keyed by class body, then by method name
+    const classSites = new Map();
+
+    /**
+     * Check if a receiver can be repeated in the replacement, which evaluates
+     * it twice and earlier: only names, `this`, `super`, `import.meta` and a
+     * single property read from them qualify. Deeper chains may run getters,
+     * and calls may have any side effect.
+     */
+    function isRepeatableReceiver(node) {
+      const isName = (n) =>
+        n.type === "Identifier" ||
+        n.type === "ThisExpression" ||
+        n.type === "Super" ||
+        (n.type === "MetaProperty" && n.meta.name === "import");
+      if (isName(node)) return true;
+      return (
+        node.type === "MemberExpression" &&
+        isName(node.object) &&
+        (!node.computed || isStableExpression(context.sourceCode, node.property))
+      );
+    }
+
+    // Functions that support passing arguments after the delay parameter
+    const timerFunctions = ["setTimeout", "setInterval"];
 
     /**
-     * Check if a node is a method call: obj.method() or obj.method(args)
-     * Returns { object, method, arguments } if it matches, null otherwise
+     * Get the `longLivedContexts` entry (or inferred registrar) of the
+     * long-lived context a node is passed to, or null. With type
+     * information, the receiver of entries that match any receiver, like
+     * "on", must also be of a long-lived type.
      */
-    function getMethodCall(node, allowArgs = false) {
+    function getArgumentEntry(node) {
+      const registrar = matchRegistrar(node);
+      if (registrar) return registrar;
+      const entry = matchContext(node);
+      if (!entry) return null;
+      const callee = node.parent.callee;
       if (
-        node.type === "CallExpression" &&
-        node.callee.type === "MemberExpression" &&
-        !node.callee.computed
+        typeServices &&
+        !namesReceiver(entry) &&
+        callee.type === "MemberExpression" &&
+        isLongLivedReceiver(typeServices, callee.object, longLivedTypes) === false
       ) {
-        if (!allowArgs && node.arguments.length > 0) {
-          return null;
-        }
-        const callee = node.callee;
-        if (callee.property.type === "Identifier") {
-          return {
-            object: callee.object,
-            method: callee.property.name,
-            arguments: node.arguments,
-          };
-        }
+        return null;
       }
-      return null;
+      return entry;
     }
 
+    const matchSink = createSinkMatcher(options.sinks || {}, getArgumentEntry);
+
     /**
-     * Check if a node is a simple method call with no arguments: obj.method()
+     * Check if a call runs an effect of an enabled framework, like
+     * useEffect(...) or $effect.pre(...)
      */
-    function getSimpleMethodCall(node) {
-      return getMethodCall(node, false);
+    function isEffectCall(node) {
+      return (
+        node.type === "CallExpression" &&
+        (effects.includes(getCalleeName(node.callee)) ||
+          effects.includes(getMemberPath(node.callee)))
+      );
     }
 
-    // Functions that support passing arguments after the delay parameter
-    const timerFunctions = ["setTimeout", "setInterval"];
+    /**
+     * Get the effect call a cleanup function is returned to, or null:
+     * useEffect(() => { ...; return () => sub.unsubscribe(); })
+     */
+    function getEffectCall(node) {
+      if (effects.length === 0) return null;
+      let effect = null;
+      if (node.parent.type === "ReturnStatement") {
+        effect = getEnclosingFunction(node.parent);
+      } else if (node.parent.body === node) {
+        effect = node.parent;
+      }
+      if (!effect || !isFunctionNode(effect)) return null;
+      const call = effect.parent;
+      return isEffectCall(call) && call.arguments[0] === effect ? call : null;
+    }
 
     /**
-     * Check if the function is passed to a long-lived context
+     * Get the function a node is in, or null at the top level
      */
-    function isInLongLivedContext(node) {
-      const parent = node.parent;
-      if (parent.type === "CallExpression" && parent.arguments.includes(node)) {
-        const callee = parent.callee;
-        if (callee.type === "Identifier") {
-          return longLivedContexts.includes(callee.name);
-        }
-        if (
-          callee.type === "MemberExpression" &&
-          callee.property.type === "Identifier"
-        ) {
-          return longLivedContexts.includes(callee.property.name);
-        }
+    function getEnclosingFunction(node) {
+      let current = node.parent;
+      while (
+        current &&
+        !isFunctionNode(current) &&
+        current.type !== "FunctionDeclaration"
+      ) {
+        current = current.parent;
       }
-      return false;
+      return current;
+    }
+
+    /**
+     * Check if a wrapper is created in the body of a component or hook,
+     * which runs on every render. Effect callbacks are exempt: their
+     * identity does not matter.
+     */
+    function isInRenderBody(node) {
+      if (!renderBodies) return false;
+      if (isEffectCall(node.parent) && node.parent.arguments[0] === node) {
+        return false;
+      }
+      const fn = getEnclosingFunction(node);
+      return !!fn && isComponentOrHook(fn);
+    }
+
+    /**
+     * Get the settings of the long-lived context a wrapper is passed to or
+     * stored in, or null outside long-lived contexts. Timers always count.
+     * @returns {{ ignore: boolean, allowAsync: boolean, allowArgs: boolean,
+     *   callsWithoutArguments: boolean, risk: string } | null}
+     */
+    function getContextSettings(node, timerContext) {
+      // Cleanup functions are kept until the effect re-runs
+      let entry =
+        getArgumentEntry(node) ?? matchSink(node) ?? (getEffectCall(node) && {});
+      if (!entry && !timerContext) return null;
+      if (!entry || typeof entry === "string") entry = {};
+      return {
+        ignore: entry.ignore ?? false,
+        allowAsync: entry.allowAsync ?? includeAsync,
+        allowArgs: entry.allowArgs ?? true,
+        callsWithoutArguments: entry.callsWithoutArguments ?? false,
+        risk: entry.risk ?? defaultContextRisks[getContextName(node)] ?? "medium",
+      };
     }
 
     /**
@@ -139,19 +401,7 @@ const rule = {
       if (parent.type !== "CallExpression") return null;
       if (parent.arguments[0] !== node) return null;
 
-      const callee = parent.callee;
-      let name;
-      if (callee.type === "Identifier") {
-        name = callee.name;
-      } else if (
-        callee.type === "MemberExpression" &&
-        callee.property.type === "Identifier"
-      ) {
-        name = callee.property.name;
-      } else {
-        return null;
-      }
-
+      const name = getCalleeName(parent.callee);
       if (!timerFunctions.includes(name)) return null;
 
       return {
@@ -162,6 +412,17 @@ const rule = {
       };
     }
 
+    /**
+     * Check if an argument can be bound early with .bind(obj, arg): it must
+     * evaluate to the same value when the closure is created as when it runs
+     */
+    function isBindableArgument(arg, closure) {
+      return (
+        arg.type !== "SpreadElement" &&
+        isStableExpression(context.sourceCode, arg, closure)
+      );
+    }
+
     /**
      * Get source text for a node
      */
@@ -170,11 +431,71 @@ const rule = {
     }
 
     /**
-     * Report a prefer-bind violation
+     * Get the name of the binding at the root of an expression: `a` for a.b.c,
+     * `this` for this.x. Returns null for anything else.
      */
-    function reportPreferBind(node, methodCall, timerContext) {
-      const objectText = getSourceText(methodCall.object);
-      const bindExpr = `${objectText}.${methodCall.method}.bind(${objectText})`;
+    function getRootName(node) {
+      let current = node;
+      while (current.type === "MemberExpression") {
+        current = current.object;
+      }
+      if (current.type === "Identifier") return current.name;
+      if (current.type === "ThisExpression" || current.type === "Super") {
+        return "this";
+      }
+      return null;
+    }
+
+    /**
+     * Get the bindings the closure retains beyond the receiver and arguments
+     * the replacement keeps. Returns null when scope analysis is disabled.
+     */
+    function getExtraRetainedBindings(node, methodCall) {
+      if (!scopeAnalysis) return null;
+      const kept = [methodCall.object, methodCall.fn, ...methodCall.arguments]
+        .filter(Boolean)
+        .map(getRootName);
+      return getRetainedBindings(context.sourceCode, node).filter(
+        (name) => !kept.includes(name),
+      );
+    }
+
+    /**
+     * Build the message id and data for a report
+     */
+    function getMessage(replacement, retained, alreadyBound) {
+      if (alreadyBound) {
+        return { messageId: "preferDirectReference", data: { replacement } };
+      }
+      if (!retained) {
+        return { messageId: "preferBind", data: { replacement } };
+      }
+      const captured = retained.map((name) => `\`${name}\``).join(", ");
+      return { messageId: "preferBindCaptures", data: { replacement, captured } };
+    }
+
+    /**
+     * Build the replacement for a wrapper: the node to replace and its new
+     * text. When the method is already bound (type-aware mode), the property
+     * is passed directly. `objectText` overrides the receiver's source.
+     * Functions called through .call() and friends are bound as they are:
+     * fn.call(obj, a) becomes fn.bind(obj, a).
+     */
+    function getReplacement(
+      node,
+      methodCall,
+      timerContext,
+      alreadyBound,
+      objectText = getSourceText(methodCall.object),
+    ) {
+      const boundArgs = timerContext ? [] : methodCall.arguments;
+      // super.method is called on `this`
+      const thisText = methodCall.object.type === "Super" ? "this" : objectText;
+      const bindArgs = [thisText, ...boundArgs.map(getSourceText)].join(", ");
+      const fnText = methodCall.fn
+        ? getSourceText(methodCall.fn)
+        : `${objectText}${methodCall.accessor}`;
+      const bindExpr = alreadyBound ? fnText : `${fnText}.bind(${bindArgs})`;
 
       // For timer functions with arguments, we need to move args after the delay
       if (timerContext && methodCall.arguments.length > 0) {
@@ -182,133 +503,854 @@ const rule = {
         const delayText = timerContext.delayArg
           ? getSourceText(timerContext.delayArg)
           : "0";
-        const replacement = `${timerContext.name}(${bindExpr}, ${delayText}, ${argsText})`;
+        return {
+          target: timerContext.parent,
+          text: `${timerContext.name}(${bindExpr}, ${delayText}, ${argsText})`,
+        };
+      }
+      return { target: node, text: bindExpr };
+    }
 
+    /**
+     * Check if a receiver always evaluates to the same value: lexical `this`
+     * or a binding that is never reassigned
+     */
+    function isPureReceiver(node, object) {
+      if (object.type === "ThisExpression" || object.type === "Super") {
+        return node.type === "ArrowFunctionExpression";
+      }
+      return (
+        object.type === "Identifier" &&
+        isStableExpression(context.sourceCode, object, node)
+      );
+    }
+
+    /**
+     * Check if a callback is known to be called without arguments, which a
+     * bound function would receive while the wrapper drops them: timers
+     * without extra arguments, and contexts marked `callsWithoutArguments`
+     */
+    function isCalledWithoutArguments(node, timerContext) {
+      if (timerContext) return timerContext.parent.arguments.length <= 2;
+      return getContextSettings(node, null)?.callsWithoutArguments ?? false;
+    }
+
+    /**
+     * Check if a rewrite is proven equivalent and may be applied as a fix:
+     * a sync wrapper without parameters or arguments around a pure receiver
+     * (and a pure function, for fn.call(obj)), called without arguments,
+     * whose method is never replaced in the file
+     */
+    function isSafeToAutofix(node, methodCall, timerContext) {
+      return (
+        !node.async &&
+        isCalledWithoutArguments(node, timerContext) &&
+        node.params.length === 0 &&
+        methodCall.arguments.length === 0 &&
+        isPureReceiver(node, methodCall.object) &&
+        (methodCall.fn
+          ? isPureReceiver(node, methodCall.fn)
+          : !isMethodReplaced(context.sourceCode, methodCall.callee))
+      );
+    }
+
+    /**
+     * Get the name of what keeps a wrapper alive: the function it is passed
+     * to, the property it is assigned to, or the function its options
+     * object is passed to
+     */
+    function getContextName(node) {
+      const effect = getEffectCall(node);
+      if (effect) return `${getSourceText(effect.callee)} cleanup`;
+      let parent = node.parent;
+      if (parent.type === "Property" && parent.parent.type === "ObjectExpression") {
+        parent = parent.parent.parent;
+      }
+      switch (parent.type) {
+        case "CallExpression":
+        case "NewExpression":
+          return getCalleeName(parent.callee) ?? getSourceText(parent.callee);
+        case "AssignmentExpression":
+          return getCalleeName(parent.left) ?? getSourceText(parent.left);
+        case "ExportDefaultDeclaration":
+          return "export default";
+        default:
+          return "(none)";
+      }
+    }
+
+    /**
+     * Report a wrapper, adding its triage data (context, receiver, method,
+     * async flag and fix safety) to the message data and recording it for
+     * the summary formatters. Findings in the baseline are only recorded.
+     */
+    function report(descriptor, node, methodCall, fixSafety) {
+      const timerContext = node.params.length === 0 ? getTimerContext(node) : null;
+      const settings = getContextSettings(node, timerContext);
+      const finding = {
+        context: getContextName(node),
+        risk: settings ? settings.risk : "none",
+        receiver: methodCall.object ? getSourceText(methodCall.object) : "(none)",
+        method: methodCall.method,
+        async: node.async,
+        fixSafety,
+      };
+      const baselined = isBaselined(finding);
+      if (!baselined) {
         context.report({
-          node: timerContext.parent,
-          messageId: "preferBind",
-          data: { replacement },
+          ...descriptor,
+          data: {
+            ...descriptor.data,
+            ...finding,
+            riskLabel: `${settings ? `[${settings.risk}] ` : ""}${runtime.note}`,
+          },
+        });
+      }
+      const start = (descriptor.node || node).loc.start;
+      recordFinding(context.filename, {
+        line: start.line,
+        column: start.column + 1,
+        messageId: descriptor.messageId,
+        ...finding,
+        baselined,
+      });
+    }
+
+    /**
+     * Report a prefer-bind violation
+     */
+    function reportPreferBind(node, methodCall, timerContext, alreadyBound = false) {
+      const retained = getExtraRetainedBindings(node, methodCall);
+      // Nothing retained beyond the receiver: .bind() would not free anything
+      if (retained && retained.length === 0) return;
+
+      const { target, text } = getReplacement(
+        node,
+        methodCall,
+        timerContext,
+        alreadyBound,
+      );
+      const fix = (fixer) => fixer.replaceText(target, text);
+      const isSafe = isSafeToAutofix(node, methodCall, timerContext);
+
+      report(
+        {
+          node: target,
+          ...getMessage(text, retained, alreadyBound),
+          fix: autofix && isSafe ? fix : null,
           suggest: [
             {
-              messageId: "preferBindSuggestion",
-              fix(fixer) {
-                return fixer.replaceText(timerContext.parent, replacement);
-              },
+              messageId: alreadyBound
+                ? "preferDirectReferenceSuggestion"
+                : "preferBindSuggestion",
+              fix,
             },
           ],
+        },
+        node,
+        methodCall,
+        isSafe ? "safe" : "review",
+      );
+    }
+
+    /**
+     * Report a wrapper that has no safe .bind() rewrite, without a suggestion
+     */
+    function reportNoSafeRewrite(node, methodCall, messageId, data) {
+      const retained = getExtraRetainedBindings(node, methodCall);
+      if (retained && retained.length === 0) return;
+      report({ node, messageId, data }, node, methodCall, "none");
+    }
+
+    /**
+     * Get the statement a declaration can be inserted before, so that it runs
+     * right before the wrapper is created. Returns null if a function
+     * boundary or a statement position without a block lies in between.
+     */
+    function getHoistTarget(node) {
+      for (let current = node.parent; current.parent; current = current.parent) {
+        if (isFunctionNode(current) || current.type === "FunctionDeclaration") {
+          return null;
+        }
+        const parent = current.parent;
+        if (
+          statementContainers.includes(parent.type) &&
+          (parent.type !== "SwitchCase" || parent.consequent.includes(current))
+        ) {
+          return current;
+        }
+        // A statement outside a block, such as the body of `if (x) stmt;`
+        if (/(Statement|Declaration)$/.test(current.type)) return null;
+      }
+      return null;
+    }
+
+    /**
+     * Check if every binding an expression reads is declared before a
+     * statement, so that the expression can be moved in front of it
+     */
+    function isDeclaredBefore(expression, statement) {
+      return context.sourceCode
+        .getScope(expression)
+        .through.filter(
+          (ref) =>
+            ref.identifier.range[0] >= expression.range[0] &&
+            ref.identifier.range[1] <= expression.range[1],
+        )
+        .every((ref) => {
+          const def = ref.resolved?.defs[0];
+          return !def || def.name.range[1] <= statement.range[0];
         });
-      } else {
-        context.report({
+    }
+
+    /**
+     * Pick a name for a hoisted receiver: `service` for getService(),
+     * `c` for a.b.c, `foo` for new Foo(). Adds a number if the name is
+     * already visible at the statement.
+     */
+    function getHoistedName(receiver, statement) {
+      let base = "receiver";
+      const source =
+        receiver.type === "CallExpression" || receiver.type === "NewExpression"
+          ? getCalleeName(receiver.callee)
+          : receiver.type === "MemberExpression" && !receiver.computed
+            ? receiver.property.name
+            : null;
+      if (source) {
+        const stripped = source.replace(/^(get|create|make)(?=[A-Z])/, "");
+        const candidate = stripped[0].toLowerCase() + stripped.slice(1);
+        if (!reservedWords.includes(candidate)) base = candidate;
+      }
+
+      const taken = new Set();
+      let scope = context.sourceCode.getScope(statement);
+      for (; scope; scope = scope.upper) {
+        for (const variable of scope.variables) taken.add(variable.name);
+        for (const ref of scope.through) taken.add(ref.identifier.name);
+      }
+      let name = base;
+      for (let i = 2; taken.has(name); i++) name = `${base}${i}`;
+      return name;
+    }
+
+    /**
+     * Report a receiver that may have side effects. The suggestion hoists it
+     * into a `const` before the statement, so it is evaluated once.
+     */
+    function reportImpureReceiver(node, methodCall, timerContext) {
+      const retained = getExtraRetainedBindings(node, methodCall);
+      if (retained && retained.length === 0) return;
+
+      const receiver = methodCall.object;
+      const receiverText = getSourceText(receiver);
+      const statement = getHoistTarget(node);
+      const suggest = [];
+
+      if (statement && isDeclaredBefore(receiver, statement)) {
+        const name = getHoistedName(receiver, statement);
+        const { target, text } = getReplacement(
+          node,
+          methodCall,
+          timerContext,
+          false,
+          name,
+        );
+        const line = context.sourceCode.lines[statement.loc.start.line - 1];
+        const indent = line.slice(0, statement.loc.start.column).match(/^\s*/)[0];
+        suggest.push({
+          messageId: "hoistReceiverSuggestion",
+          data: { receiver: receiverText, name },
+          fix(fixer) {
+            return [
+              fixer.insertTextBefore(
+                statement,
+                `const ${name} = ${receiverText};\n${indent}`,
+              ),
+              fixer.replaceText(target, text),
+            ];
+          },
+        });
+      }
+
+      report(
+        {
+          node,
+          messageId: "impureReceiver",
+          data: { receiver: receiverText },
+          suggest,
+        },
+        node,
+        methodCall,
+        suggest.length > 0 ? "review" : "none",
+      );
+    }
+
+    /**
+     * Check if a wrapper's parameters are forwarded unchanged: each one is a
+     * plain identifier passed, in the same order, as the trailing arguments
+     * of the call, and used nowhere else
+     */
+    function isForwardingParams(node, args) {
+      const params = node.params;
+      if (params.length > args.length) return false;
+      const forwarded = args.slice(args.length - params.length);
+      const inOrder = params.every(
+        (param, i) =>
+          param.type === "Identifier" &&
+          forwarded[i].type === "Identifier" &&
+          forwarded[i].name === param.name,
+      );
+      if (!inOrder) return false;
+
+      const paramNames = params.map((param) => param.name);
+      return context.sourceCode
+        .getDeclaredVariables(node)
+        .filter((variable) => paramNames.includes(variable.name))
+        .every((variable) =>
+          variable.references.every((ref) => forwarded.includes(ref.identifier)),
+        );
+    }
+
+    /**
+     * Check if a wrapper should be reported given the settings of its
+     * context, the global options and `minimumRisk`
+     */
+    function isReportable(node, args, timerContext) {
+      const settings = getContextSettings(node, timerContext);
+      if (settings?.ignore) return false;
+      if (onlyInLongLivedContexts && !settings) return false;
+      if (node.async && !(settings?.allowAsync ?? includeAsync)) return false;
+      if (settings?.allowArgs === false && args.length > 0) return false;
+      // Wrappers outside long-lived contexts are the least risky
+      return riskLevels.indexOf(settings?.risk ?? "low") >= minimumRisk;
+    }
+
+    /**
+     * Check if a name holds the same value when read as the closure is
+     * created as when the closure reads it: a binding declared before the
+     * closure and never reassigned, a parameter or function declaration
+     * that is never reassigned, an import, or a global the file does not
+     * declare
+     */
+    function isStableName(identifier, node) {
+      if (isStableExpression(context.sourceCode, identifier, node)) return true;
+      const variable = findVariable(context.sourceCode, identifier);
+      if (!variable || variable.defs.length === 0) return true;
+      if (variable.defs.length !== 1) return false;
+      const { type } = variable.defs[0];
+      return (
+        type === "ImportBinding" ||
+        ((type === "Parameter" || type === "FunctionName") &&
+          variable.references.every((ref) => !ref.isWrite()))
+      );
+    }
+
+    /**
+     * Check a wrapper around a plain function call that only forwards its
+     * parameters, like () => handler() or (e) => handler(e). The function
+     * needs no .bind(), so it can be passed directly.
+     */
+    function checkPlainCall(node, callExpr) {
+      if (
+        callExpr.type !== "CallExpression" ||
+        callExpr.callee.type !== "Identifier" ||
+        // The function is passed as it is when the callback is created
+        !isStableName(callExpr.callee, node) ||
+        callExpr.arguments.length !== node.params.length ||
+        !isForwardingParams(node, callExpr.arguments)
+      ) {
+        return;
+      }
+      const timerContext = node.params.length === 0 ? getTimerContext(node) : null;
+      if (!isReportable(node, callExpr.arguments, timerContext)) return;
+
+      const callee = callExpr.callee;
+      const plainCall = { object: null, fn: callee, method: callee.name, arguments: [] };
+      const retained = getExtraRetainedBindings(node, plainCall);
+      if (retained && retained.length === 0) return;
+
+      report(
+        {
           node,
-          messageId: "preferBind",
-          data: { replacement: bindExpr },
+          messageId: "preferPlainReference",
+          data: { replacement: callee.name },
           suggest: [
             {
-              messageId: "preferBindSuggestion",
-              fix(fixer) {
-                return fixer.replaceText(node, bindExpr);
-              },
+              messageId: "preferPlainReferenceSuggestion",
+              fix: (fixer) => fixer.replaceText(node, callee.name),
             },
           ],
-        });
-      }
+        },
+        node,
+        plainCall,
+        "review",
+      );
     }
 
     /**
-     * Check if it's a simple arrow function: () => expr
+     * Check the call a wrapper makes and report it if it can be bound
      */
-    function checkArrowFunction(node) {
-      // Must be: () => obj.method() or () => obj.method(args) in timer context
-      if (node.params.length !== 0) return;
-
-      const isAsync = node.async;
-      if (isAsync && !includeAsync) return;
-
-      const body = node.body;
-      let callExpr;
-
-      if (body.type === "CallExpression") {
-        // () => obj.method()
-        callExpr = body;
-      } else if (body.type === "AwaitExpression" && body.argument.type === "CallExpression") {
-        // async () => await obj.method()
-        callExpr = body.argument;
-      } else if (
-        body.type === "BlockStatement" &&
-        body.body.length === 1 &&
-        body.body[0].type === "ExpressionStatement"
+    function checkWrappedCall(node, callExpr) {
+      const methodCall = getMethodCall(context.sourceCode, callExpr, true);
+      if (!methodCall) {
+        checkPlainCall(node, callExpr);
+        return;
+      }
+      if (methodCall.fn && !isRepeatableReceiver(methodCall.fn)) return;
+      if (getUnsafeRewriteReason(context.sourceCode, node, methodCall)) return;
+      if (!isForwardingParams(node, methodCall.arguments)) return;
+
+      // Forwarded parameters are passed on by the bound function itself
+      const leadingArgs = methodCall.arguments.slice(
+        0,
+        methodCall.arguments.length - node.params.length,
+      );
+      const boundCall = { ...methodCall, arguments: leadingArgs };
+
+      // Timers (setTimeout/setInterval) take any args, elsewhere they are bound
+      const timerContext = node.params.length === 0 ? getTimerContext(node) : null;
+      if (
+        !timerContext &&
+        !leadingArgs.every((arg) => isBindableArgument(arg, node))
       ) {
-        const expr = body.body[0].expression;
-        if (expr.type === "CallExpression") {
-          // () => { obj.method(); }
-          callExpr = expr;
-        } else if (expr.type === "AwaitExpression" && expr.argument.type === "CallExpression") {
-          // async () => { await obj.method(); }
-          callExpr = expr.argument;
-        } else {
+        return;
+      }
+
+      if (!isReportable(node, methodCall.arguments, timerContext)) return;
+
+      // With type information: skip non-functions, pass bound properties as-is
+      const memberKind = typeServices
+        ? getMemberKind(typeServices, methodCall.callee)
+        : null;
+      if (memberKind === "not-function") return;
+      const alreadyBound =
+        memberKind === "bound" && (!!timerContext || leadingArgs.length === 0);
+
+      if (!alreadyBound && isInRenderBody(node)) {
+        reportModuleBinding(node, boundCall);
+        return;
+      }
+
+      if (!alreadyBound) {
+        if (methodCall.optional) {
+          reportNoSafeRewrite(node, boundCall, "noSafeRewriteOptional", {
+            call: getSourceText(callExpr),
+          });
           return;
         }
-      } else {
+        if (!isRepeatableReceiver(methodCall.object)) {
+          reportImpureReceiver(node, boundCall, timerContext);
+          return;
+        }
+      }
+
+      if (
+        groupClassBindings &&
+        !alreadyBound &&
+        !methodCall.fn &&
+        !methodCall.callee.computed &&
+        // Private methods cannot be reassigned
+        methodCall.callee.property.type !== "PrivateIdentifier" &&
+        leadingArgs.length === 0 &&
+        deferClassSite(node, boundCall, timerContext)
+      ) {
         return;
       }
 
-      // Check for timer context (setTimeout/setInterval) which allows args
-      const timerContext = getTimerContext(node);
-      const methodCall = getMethodCall(callExpr, !!timerContext);
-      if (!methodCall) return;
+      reportPreferBind(node, boundCall, timerContext, alreadyBound);
+    }
 
-      if (onlyInLongLivedContexts && !isInLongLivedContext(node) && !timerContext) {
+    /**
+     * Get the top-level statement a node is in
+     */
+    function getTopLevelStatement(node) {
+      return context.sourceCode.ast.body.find(
+        (stmt) => stmt.range[0] <= node.range[0] && node.range[1] <= stmt.range[1],
+      );
+    }
+
+    /**
+     * Report a wrapper in a render body. A .bind() there would create a new
+     * function on every render as well, so it is only reported when the
+     * receiver is a module-level binding that can be bound once, before the
+     * component.
+     */
+    function reportModuleBinding(node, methodCall) {
+      const receiver = methodCall.object;
+      if (
+        methodCall.optional ||
+        methodCall.fn ||
+        methodCall.callee.computed ||
+        usesPrivateName(context.sourceCode, methodCall.callee) ||
+        methodCall.arguments.length > 0 ||
+        receiver.type !== "Identifier"
+      ) {
         return;
       }
+      const statement = getTopLevelStatement(node);
+      const variable = findVariable(context.sourceCode, receiver);
+      const isModuleLevel =
+        !variable ||
+        ((variable.scope.type === "module" || variable.scope.type === "global") &&
+          variable.defs.every(
+            (def) =>
+              def.type === "ImportBinding" ||
+              def.name.range[1] <= statement.range[0],
+          ));
+      if (!isModuleLevel) return;
+
+      const retained = getExtraRetainedBindings(node, methodCall);
+      if (retained && retained.length === 0) return;
 
-      reportPreferBind(node, methodCall, timerContext);
+      const method = methodCall.method.replace(/\W/g, "");
+      const name = getModuleLevelName(
+        `${receiver.name}${method[0]?.toUpperCase() ?? ""}${method.slice(1)}`,
+      );
+      const replacement = `${receiver.name}${methodCall.accessor}.bind(${receiver.name})`;
+
+      report(
+        {
+          node,
+          messageId: "preferModuleBinding",
+          data: { replacement, name },
+          suggest: [
+            {
+              messageId: "preferModuleBindingSuggestion",
+              data: { name },
+              fix(fixer) {
+                return [
+                  fixer.insertTextBefore(
+                    statement,
+                    `const ${name} = ${replacement};\n\n`,
+                  ),
+                  fixer.replaceText(node, name),
+                ];
+              },
+            },
+          ],
+        },
+        node,
+        methodCall,
+        "review",
+      );
     }
 
     /**
-     * Check if it's a simple function expression: function() { obj.method(); }
+     * Get the class body whose instance `this` refers to inside an arrow
+     * function, or null outside instance methods and field initializers
      */
-    function checkFunctionExpression(node) {
-      if (node.params.length !== 0) return;
-      if (node.generator) return;
+    function getInstanceClassBody(node) {
+      let child = node;
+      for (let current = node.parent; current; current = current.parent) {
+        switch (current.type) {
+          case "FunctionExpression":
+          case "FunctionDeclaration": {
+            const method = current.parent;
+            return method.type === "MethodDefinition" && !method.static
+              ? method.parent
+              : null;
+          }
+          case "PropertyDefinition":
+            return current.value === child && !current.static
+              ? current.parent
+              : null;
+          case "StaticBlock":
+            return null;
+        }
+        child = current;
+      }
+      return null;
+    }
 
-      const isAsync = node.async;
-      if (isAsync && !includeAsync) return;
+    /**
+     * Defer a `() => this.method()` wrapper until its class has been seen.
+     * Returns false if the wrapper does not qualify.
+     */
+    function deferClassSite(node, methodCall, timerContext) {
+      if (
+        node.type !== "ArrowFunctionExpression" ||
+        methodCall.object.type !== "ThisExpression"
+      ) {
+        return false;
+      }
+      const classBody = getInstanceClassBody(node);
+      if (!classBody) return false;
 
-      const body = node.body;
-      if (body.type !== "BlockStatement") return;
-      if (body.body.length !== 1) return;
+      if (!classSites.has(classBody)) classSites.set(classBody, new Map());
+      const sitesByMethod = classSites.get(classBody);
+      if (!sitesByMethod.has(methodCall.method)) {
+        sitesByMethod.set(methodCall.method, []);
+      }
+      sitesByMethod.get(methodCall.method).push({ node, methodCall, timerContext });
+      return true;
+    }
 
-      const stmt = body.body[0];
-      if (stmt.type !== "ExpressionStatement") return;
+    /**
+     * Check if a class already declares a field or accessor with a name,
+     * which a bound field would replace or bypass
+     */
+    function hasOwnProperty(classBody, name) {
+      return classBody.body.some(
+        (member) =>
+          !(member.type === "MethodDefinition" && member.kind === "method") &&
+          member.type !== "StaticBlock" &&
+          !member.computed &&
+          member.key.type === "Identifier" &&
+          member.key.name === name,
+      );
+    }
 
-      let callExpr;
-      if (stmt.expression.type === "CallExpression") {
-        callExpr = stmt.expression;
-      } else if (
-        stmt.expression.type === "AwaitExpression" &&
-        stmt.expression.argument.type === "CallExpression"
-      ) {
-        // async function() { await obj.method(); }
-        callExpr = stmt.expression.argument;
-      } else {
-        return;
+    /**
+     * Report the deferred wrappers of a class: methods wrapped more than once
+     * get a bound class field shared by every site
+     */
+    function reportClassSites(classBody) {
+      const sitesByMethod = classSites.get(classBody);
+      if (!sitesByMethod) return;
+      classSites.delete(classBody);
+
+      for (const [method, sites] of sitesByMethod) {
+        if (sites.length === 1) {
+          const { node, methodCall, timerContext } = sites[0];
+          reportPreferBind(node, methodCall, timerContext);
+          continue;
+        }
+
+        const lines = [
+          ...new Set(sites.map((site) => site.node.loc.start.line)),
+        ].join(", ");
+        const firstMember = classBody.body[0];
+        const indent = " ".repeat(firstMember.loc.start.column);
+        const field = `${method} = this.${method}.bind(this);\n${indent}`;
+        const canDeclareField = !hasOwnProperty(classBody, method);
+
+        for (const { node, methodCall } of sites) {
+          report(
+            {
+              node,
+              messageId: "preferBoundField",
+              data: { method, count: sites.length, lines },
+              suggest: canDeclareField
+                ? [
+                    {
+                      messageId: "preferBoundFieldSuggestion",
+                      data: { method },
+                      fix(fixer) {
+                        return [
+                          fixer.insertTextBefore(firstMember, field),
+                          ...sites.map((site) =>
+                            fixer.replaceText(site.node, `this.${method}`),
+                          ),
+                        ];
+                      },
+                    },
+                  ]
+                : [],
+            },
+            node,
+            methodCall,
+            canDeclareField ? "review" : "none",
+          );
+        }
+      }
+    }
+
+    /**
+     * Infer the registrars of this file and combine them with the ones
+     * other files stored in the registrar cache
+     */
+    function setUpRegistrars() {
+      const file = path.relative(context.cwd, context.filename);
+      const cached = registrarCache ? readRegistrarCache(registrarCache) : {};
+      const known = Object.entries(cached)
+        .filter(([name]) => name !== file)
+        .flatMap(([, registrars]) => registrars);
+
+      const registrars = inferRegistrars(context.sourceCode, matchContext, known);
+      matchRegistrar = createContextMatcher([...known, ...registrars]);
+      if (registrarCache) {
+        writeRegistrarCache(registrarCache, file, registrars);
+      }
+    }
+
+    /**
+     * Get the method calls of a closure made only of no-argument method
+     * calls on stable names (or lexical `this`): () => { a.stop(); b.close(); }
+     * Returns null for any other closure.
+     */
+    function getMethodCallStatements(node) {
+      if (node.body.type !== "BlockStatement" || node.body.body.length < 2) {
+        return null;
+      }
+      const calls = [];
+      for (const stmt of node.body.body) {
+        if (stmt.type !== "ExpressionStatement") return null;
+        const methodCall = getMethodCall(context.sourceCode, stmt.expression);
+        if (!methodCall || methodCall.optional || methodCall.fn) return null;
+        // The factory is declared outside the class
+        if (usesPrivateName(context.sourceCode, methodCall.callee)) return null;
+        // Computed keys must be literals, or names the factory can take
+        const { computed, property } = methodCall.callee;
+        if (
+          computed &&
+          property.type !== "Literal" &&
+          !(property.type === "Identifier" && isStableName(property, node))
+        ) {
+          return null;
+        }
+        const object = methodCall.object;
+        const isReceiver =
+          (object.type === "Identifier" && isStableName(object, node)) ||
+          (object.type === "ThisExpression" &&
+            node.type === "ArrowFunctionExpression");
+        if (!isReceiver) return null;
+        calls.push(methodCall);
       }
+      return calls;
+    }
+
+    /**
+     * Pick a module-level name for a factory that is not visible anywhere
+     * in the file yet
+     */
+    function getFactoryName(methodCalls) {
+      const method = methodCalls[0].method.replace(/\W/g, "");
+      return getModuleLevelName(
+        `create${method[0]?.toUpperCase() ?? ""}${method.slice(1)}Callback`,
+      );
+    }
 
-      // Check for timer context (setTimeout/setInterval) which allows args
+    /**
+     * Pick a name for a module-level declaration that no scope of the file
+     * declares or reads. Adds a number if the base name is taken.
+     */
+    function getModuleLevelName(base) {
+      const taken = new Set();
+      for (const scope of context.sourceCode.scopeManager.scopes) {
+        for (const variable of scope.variables) taken.add(variable.name);
+        for (const ref of scope.through) taken.add(ref.identifier.name);
+      }
+      let name = base;
+      for (let i = 2; taken.has(name); i++) name = `${base}${i}`;
+      return name;
+    }
+
+    /**
+     * Check a closure made of several method calls, like
+     * () => { a.stop(); b.close(); }. It only needs its receivers, so a
+     * factory taking them creates a closure that retains nothing else.
+     */
+    function checkMultiStatement(node) {
+      if (node.async || node.params.length > 0) return;
+      // At module level, there is no enclosing scope to release
+      const upper = context.sourceCode.getScope(node).upper.variableScope;
+      if (upper.type === "module" || upper.type === "global") return;
+
+      // A factory call would create a new function on every render as well
+      if (isInRenderBody(node)) return;
+
+      const methodCalls = getMethodCallStatements(node);
+      if (!methodCalls) return;
       const timerContext = getTimerContext(node);
-      const methodCall = getMethodCall(callExpr, !!timerContext);
-      if (!methodCall) return;
+      if (!isReportable(node, [], timerContext)) return;
 
-      if (onlyInLongLivedContexts && !isInLongLivedContext(node) && !timerContext) {
-        return;
+      const receivers = [
+        ...new Set(methodCalls.map((call) => getSourceText(call.object))),
+      ];
+      // Computed keys that are names are passed in too: a[key]()
+      const keys = methodCalls
+        .filter(
+          (call) =>
+            call.callee.computed && call.callee.property.type === "Identifier",
+        )
+        .map((call) => call.callee.property.name);
+      const bindings = [...new Set([...receivers, ...keys])];
+      if (scopeAnalysis) {
+        const retained = getRetainedBindings(context.sourceCode, node);
+        if (retained.every((name) => bindings.includes(name))) return;
+      }
+
+      // `this` cannot be a parameter name
+      let self = "self";
+      for (let i = 2; bindings.includes(self); i++) self = `self${i}`;
+      const params = bindings.map((binding) =>
+        binding === "this" ? self : binding,
+      );
+      const name = getFactoryName(methodCalls);
+      const body = methodCalls
+        .map((call) => {
+          const param = params[bindings.indexOf(getSourceText(call.object))];
+          return `    ${param}${call.accessor}();`;
+        })
+        .join("\n");
+      const factory = `function ${name}(${params.join(", ")}) {\n  return () => {\n${body}\n  };\n}\n\n`;
+      const statement = getTopLevelStatement(node);
+      const receiversText = receivers.map((receiver) => `'${receiver}'`).join(", ");
+
+      report(
+        {
+          node,
+          messageId: "preferFactory",
+          data: { receivers: receiversText },
+          suggest: [
+            {
+              messageId: "preferFactorySuggestion",
+              data: { name },
+              fix(fixer) {
+                return [
+                  fixer.insertTextBefore(statement, factory),
+                  fixer.replaceText(node, `${name}(${bindings.join(", ")})`),
+                ];
+              },
+            },
+          ],
+        },
+        node,
+        {
+          object: null,
+          method: methodCalls.map((call) => call.method).join(", "),
+        },
+        "review",
+      );
+    }
+
+    /**
+     * Check if it's a simple arrow function: () => expr
+     */
+    function checkArrowFunction(node) {
+      // Must be: () => obj.method(), () => obj.method(args) in timer context,
+      // () => obj.method(args) with args that can be bound early,
+      // or (a, b) => obj.method(a, b) forwarding its parameters
+      const callExpr = getWrappedCall(node);
+      if (callExpr) {
+        checkWrappedCall(node, callExpr);
+      } else if (multiStatement) {
+        checkMultiStatement(node);
       }
+    }
+
+    /**
+     * Check if it's a simple function expression: function() { obj.method(); }
+     */
+    function checkFunctionExpression(node) {
+      if (node.generator) return;
 
-      reportPreferBind(node, methodCall, timerContext);
+      const callExpr = getWrappedCall(node);
+      if (callExpr) {
+        checkWrappedCall(node, callExpr);
+      } else if (multiStatement) {
+        checkMultiStatement(node);
+      }
     }
 
     return {
+      Program() {
+        resetFindings(context.filename);
+        if (options.inferRegistrars) setUpRegistrars();
+      },
       ArrowFunctionExpression: checkArrowFunction,
       FunctionExpression: checkFunctionExpression,
+      "ClassBody:exit": reportClassSites,
     };
   },
 };
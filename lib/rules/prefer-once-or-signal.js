@@ -0,0 +1,310 @@
+/**
+ * @fileoverview Prefer `once` or an AbortSignal for listeners that dispose
+ * of themselves
+ *
+ * Detects patterns like:
+ *   el.addEventListener('load', function onLoad() {
+ *     el.removeEventListener('load', onLoad);
+ *     init();
+ *   });
+ *   el.addEventListener('click', () => { controller.abort(); close(); });
+ *   emitter.on('ready', () => { if (done) return; done = true; start(); });
+ *
+ * And suggests:
+ *   el.addEventListener('load', ..., { once: true })
+ *   el.addEventListener('click', ..., { signal: controller.signal })
+ *   emitter.once('ready', ...)
+ *
+ * Until the listener runs, a permanent registration keeps it alive, and
+ * with it everything it retains, whether it is a closure or a .bind().
+ * Only listeners that dispose of themselves unconditionally, in a
+ * top-level statement of their body, are reported. 'abort' listeners on
+ * signals are left to no-closure-in-abort-signal.
+ */
+
+import { getCalleeName, getStaticString, isFunctionNode } from "../utils/ast.js";
+import { createContextMatcher } from "../utils/contexts.js";
+import {
+  getAddOptionFix,
+  hasLifetimeOption,
+  removeMethodsByAdd,
+} from "../utils/listener-options.js";
+import { findVariable } from "../utils/scope.js";
+
+const matchRegistration = createContextMatcher(
+  Object.keys(removeMethodsByAdd).map((method) => ({ method, argIndex: 1 })),
+);
+
+/** @type {import('eslint').Rule.RuleModule} */
+const rule = {
+  meta: {
+    type: "suggestion",
+    docs: {
+      description:
+        "Prefer { once: true }, emitter.once() or an AbortSignal over listeners that remove themselves",
+      recommended: false,
+    },
+    hasSuggestions: true,
+    schema: [],
+    messages: {
+      removesItself:
+        "'{{event}}' listener removes itself on its first call. Register it with {{alternative}} instead.",
+      doneFlag:
+        "'{{event}}' listener does nothing once '{{flag}}' is set, but stays registered. Register it with {{alternative}} instead.",
+      abortsController:
+        "'{{event}}' listener aborts '{{controller}}' on its first call, but stays registered. Pass { signal: {{controller}}.signal } so that the abort removes it.",
+      addOnceSuggestion: "Add { once: true }",
+      useOnceSuggestion: "Use '{{receiver}}.once()'",
+      addSignalSuggestion: "Add { signal: {{controller}}.signal }",
+    },
+  },
+
+  create(context) {
+    const sourceCode = context.sourceCode;
+
+    /**
+     * Get the function a listener argument refers to, and the text that
+     * refers to it again from inside: a function expression and its name,
+     * a function declared or assigned to a variable, or an arrow function
+     * or method of the class the registration is in (`this.onLoad`).
+     * @returns {{ fn: import('estree').Function, self: string | null } | null}
+     */
+    function resolveListener(listener) {
+      if (isFunctionNode(listener)) {
+        return { fn: listener, self: listener.id?.name ?? null };
+      }
+
+      if (listener.type === "Identifier") {
+        const variable = findVariable(sourceCode, listener);
+        if (!variable || variable.defs.length !== 1) return null;
+        const def = variable.defs[0];
+        const fn = def.type === "FunctionName" ? def.node : def.node.init;
+        if (!fn || !(isFunctionNode(fn) || fn.type === "FunctionDeclaration")) {
+          return null;
+        }
+        return { fn, self: listener.name };
+      }
+
+      if (
+        listener.type === "MemberExpression" &&
+        listener.object.type === "ThisExpression" &&
+        !listener.computed &&
+        listener.property.type === "Identifier"
+      ) {
+        let classBody = listener.parent;
+        while (classBody && classBody.type !== "ClassBody") {
+          classBody = classBody.parent;
+        }
+        const member = classBody?.body.find(
+          (definition) =>
+            definition.type !== "StaticBlock" &&
+            !definition.static &&
+            !definition.computed &&
+            definition.key.type === "Identifier" &&
+            definition.key.name === listener.property.name,
+        );
+        if (!member?.value || !isFunctionNode(member.value)) return null;
+        return { fn: member.value, self: sourceCode.getText(listener) };
+      }
+      return null;
+    }
+
+    /**
+     * Get the expressions a function body runs unconditionally, in order:
+     * its top-level expression statements, or its expression body
+     */
+    function getTopLevelExpressions(fn) {
+      if (fn.body.type !== "BlockStatement") return [fn.body];
+      return fn.body.body
+        .filter((stmt) => stmt.type === "ExpressionStatement")
+        .map((stmt) => stmt.expression);
+    }
+
+    /**
+     * Check if a listener calls the removal method for its own registration:
+     * same target, same event, and itself as the listener
+     */
+    function removesItself(registration, expressions) {
+      if (!registration.self) return false;
+      return expressions.some((expr) => {
+        if (expr.type !== "CallExpression") return false;
+        const callee = expr.callee;
+        const [eventArg, listenerArg] = expr.arguments;
+        return (
+          callee.type === "MemberExpression" &&
+          removeMethodsByAdd[registration.method].includes(getCalleeName(callee)) &&
+          sourceCode.getText(callee.object) === registration.receiver &&
+          !!listenerArg &&
+          sourceCode.getText(listenerArg) === registration.self &&
+          (getStaticString(eventArg) ?? sourceCode.getText(eventArg)) ===
+            registration.event
+        );
+      });
+    }
+
+    /**
+     * Get the flag a listener checks first and sets to stop handling
+     * events: `if (done) return; done = true;`. Returns null otherwise.
+     */
+    function getDoneFlag(fn, expressions) {
+      if (fn.body.type !== "BlockStatement") return null;
+      const guard = fn.body.body[0];
+      if (guard?.type !== "IfStatement" || guard.alternate) return null;
+      const exit =
+        guard.consequent.type === "BlockStatement" &&
+        guard.consequent.body.length === 1
+          ? guard.consequent.body[0]
+          : guard.consequent;
+      if (exit.type !== "ReturnStatement" || exit.argument) return null;
+
+      const test = guard.test;
+      if (test.type !== "Identifier" && test.type !== "MemberExpression") {
+        return null;
+      }
+      const flag = sourceCode.getText(test);
+      const isSet = expressions.some(
+        (expr) =>
+          expr.type === "AssignmentExpression" &&
+          expr.operator === "=" &&
+          sourceCode.getText(expr.left) === flag &&
+          expr.right.type === "Literal" &&
+          expr.right.value === true,
+      );
+      return isSet ? flag : null;
+    }
+
+    /**
+     * Check if a name refers to the same binding at another node
+     */
+    function isVisibleAt(identifier, node) {
+      const variable = findVariable(sourceCode, identifier);
+      for (let scope = sourceCode.getScope(node); scope; scope = scope.upper) {
+        const found = scope.set.get(identifier.name);
+        if (found) return found === variable;
+      }
+      return variable === null;
+    }
+
+    /**
+     * Get the controller a listener aborts in a top-level statement, if it
+     * can be named where the listener is registered: a name bound there
+     * too, or a property of `this` in an arrow function. Returns null
+     * otherwise.
+     */
+    function getAbortedController(node, fn, expressions) {
+      for (const expr of expressions) {
+        if (
+          expr.type !== "CallExpression" ||
+          expr.callee.type !== "MemberExpression" ||
+          getCalleeName(expr.callee) !== "abort"
+        ) {
+          continue;
+        }
+        const controller = expr.callee.object;
+        const isName =
+          controller.type === "Identifier" && isVisibleAt(controller, node);
+        const isThisProperty =
+          controller.type === "MemberExpression" &&
+          controller.object.type === "ThisExpression" &&
+          fn.type === "ArrowFunctionExpression";
+        if (isName || isThisProperty) return sourceCode.getText(controller);
+      }
+      return null;
+    }
+
+    /**
+     * Get the suggestion registering a listener for one call only
+     */
+    function getOnceSuggestion(registration) {
+      const node = registration.node;
+      if (registration.method === "addEventListener") {
+        const fix = getAddOptionFix(node, "once: true");
+        return fix ? [{ messageId: "addOnceSuggestion", fix }] : [];
+      }
+      const property = node.callee.property;
+      if (node.callee.computed || property.type !== "Identifier") return [];
+      return [
+        {
+          messageId: "useOnceSuggestion",
+          data: { receiver: registration.receiver },
+          fix: (fixer) => fixer.replaceText(property, "once"),
+        },
+      ];
+    }
+
+    /**
+     * Check a listener registration
+     */
+    function checkRegistration(node) {
+      const [eventArg, listenerArg, optionsArg] = node.arguments;
+      const method = getCalleeName(node.callee);
+      const isEventTarget = method === "addEventListener";
+      if (isEventTarget && hasLifetimeOption(optionsArg)) return;
+      // Abort listeners are left to no-closure-in-abort-signal
+      if (isEventTarget && getStaticString(eventArg) === "abort") return;
+
+      const listener = resolveListener(listenerArg);
+      if (!listener) return;
+      const registration = {
+        node,
+        method,
+        receiver: sourceCode.getText(node.callee.object),
+        event: getStaticString(eventArg) ?? sourceCode.getText(eventArg),
+        self: listener.self,
+      };
+      const expressions = getTopLevelExpressions(listener.fn);
+      const alternative = isEventTarget ? "{ once: true }" : "'once'";
+
+      if (removesItself(registration, expressions)) {
+        context.report({
+          node,
+          messageId: "removesItself",
+          data: { event: registration.event, alternative },
+          suggest: getOnceSuggestion(registration),
+        });
+        return;
+      }
+
+      const flag = getDoneFlag(listener.fn, expressions);
+      if (flag) {
+        context.report({
+          node,
+          messageId: "doneFlag",
+          data: { event: registration.event, flag, alternative },
+          suggest: getOnceSuggestion(registration),
+        });
+        return;
+      }
+
+      // Emitters have no signal option
+      const controller =
+        isEventTarget && getAbortedController(node, listener.fn, expressions);
+      if (controller) {
+        const fix = getAddOptionFix(node, `signal: ${controller}.signal`);
+        context.report({
+          node,
+          messageId: "abortsController",
+          data: { event: registration.event, controller },
+          suggest: fix
+            ? [{ messageId: "addSignalSuggestion", data: { controller }, fix }]
+            : [],
+        });
+      }
+    }
+
+    return {
+      CallExpression(node) {
+        const listenerArg = node.arguments[1];
+        if (
+          node.callee.type === "MemberExpression" &&
+          listenerArg &&
+          matchRegistration(listenerArg)
+        ) {
+          checkRegistration(node);
+        }
+      },
+    };
+  },
+};
+
+export default rule;
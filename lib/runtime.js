@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Runtimes prefer-bind can target with its `targetRuntime`
+ * option
+ *
+ * On both engines, a closure keeps alive what any function in its scope
+ * reads (see docs/v8-vs-jsc-memory-behavior.md). The defaults report
+ * wrappers everywhere on JSC, where the leak this plugin started from was
+ * found, and only callbacks registered until removed on V8.
+ *
+ * - `onlyInLongLivedContexts`, `minimumRisk`: defaults of these options
+ * - `note`: sentence that opens the messages
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+/** @type {Record<string, { onlyInLongLivedContexts: boolean, minimumRisk: string, note: string }>} */
+export const targetRuntimes = {
+  jsc: {
+    onlyInLongLivedContexts: false,
+    minimumRisk: "low",
+    note: "On JSC (Bun, Safari), a closure keeps alive what any function in its scope reads. ",
+  },
+  v8: {
+    onlyInLongLivedContexts: true,
+    minimumRisk: "high",
+    note: "On V8, a closure keeps alive what any function in its scope reads until this callback is removed. ",
+  },
+  both: {
+    onlyInLongLivedContexts: true,
+    minimumRisk: "low",
+    note: "",
+  },
+};
+
+// Runtimes detected so far, by project directory
+const detectedRuntimes = new Map();
+
+/**
+ * Get the directory of the project a file belongs to: the closest one
+ * with a package.json or bunfig.toml, or the file's own directory
+ */
+function getProjectDir(dir) {
+  for (let current = dir; ; current = path.dirname(current)) {
+    if (
+      fs.existsSync(path.join(current, "package.json")) ||
+      fs.existsSync(path.join(current, "bunfig.toml"))
+    ) {
+      return current;
+    }
+    if (path.dirname(current) === current) return dir;
+  }
+}
+
+/**
+ * Detect the runtime of the project a file belongs to: "jsc" for Bun
+ * projects, which have a bunfig.toml or only Bun in the `engines` of their
+ * package.json, and "both" otherwise
+ * @param {string} cwd
+ * @param {string} filename
+ * @returns {"jsc" | "both"}
+ */
+export function detectTargetRuntime(cwd, filename) {
+  const dir = getProjectDir(path.resolve(cwd, path.dirname(filename)));
+  if (detectedRuntimes.has(dir)) return detectedRuntimes.get(dir);
+
+  let runtime = "both";
+  if (fs.existsSync(path.join(dir, "bunfig.toml"))) {
+    runtime = "jsc";
+  } else {
+    try {
+      const { engines } = JSON.parse(
+        fs.readFileSync(path.join(dir, "package.json"), "utf8"),
+      );
+      if (engines?.bun && !engines.node) runtime = "jsc";
+    } catch {
+      // No package.json, or an invalid one
+    }
+  }
+  detectedRuntimes.set(dir, runtime);
+  return runtime;
+}
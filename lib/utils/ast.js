@@ -0,0 +1,90 @@
+/**
+ * @fileoverview AST helpers shared between rules
+ */
+
+/**
+ * Get the name a callee is called by: `fn` for fn(), `method` for obj.method().
+ * Returns null for computed or otherwise unnamed callees.
+ */
+export function getCalleeName(callee) {
+  if (callee.type === "Identifier") {
+    return callee.name;
+  }
+  if (
+    callee.type === "MemberExpression" &&
+    !callee.computed &&
+    callee.property.type === "Identifier"
+  ) {
+    return callee.property.name;
+  }
+  return null;
+}
+
+/**
+ * Check if a node creates a new function: an arrow or function expression
+ */
+export function isFunctionNode(node) {
+  return (
+    node.type === "ArrowFunctionExpression" ||
+    node.type === "FunctionExpression"
+  );
+}
+
+/**
+ * Check if a node is a `.bind()` call: fn.bind(thisArg, ...args)
+ */
+export function isBindCall(node) {
+  return (
+    node.type === "CallExpression" &&
+    node.callee.type === "MemberExpression" &&
+    getCalleeName(node.callee) === "bind"
+  );
+}
+
+/**
+ * Get the value of a string literal or expression-free template literal.
+ * Returns null for anything else.
+ */
+export function getStaticString(node) {
+  if (node.type === "Literal" && typeof node.value === "string") {
+    return node.value;
+  }
+  if (node.type === "TemplateLiteral" && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+/**
+ * Get the dotted path of a member chain: `window.requestAnimationFrame`,
+ * `this.emitter.on`. Returns null if any part is computed or not a name.
+ */
+export function getMemberPath(node) {
+  if (node.type === "Identifier") return node.name;
+  if (node.type === "ThisExpression") return "this";
+  if (
+    node.type === "MemberExpression" &&
+    !node.computed &&
+    node.property.type === "Identifier"
+  ) {
+    const object = getMemberPath(node.object);
+    return object && `${object}.${node.property.name}`;
+  }
+  return null;
+}
+
+/**
+ * Find a non-computed property by name in an object literal
+ */
+export function findProperty(objectExpression, name) {
+  return (
+    objectExpression.properties.find(
+      (property) =>
+        property.type === "Property" &&
+        !property.computed &&
+        (property.key.type === "Identifier"
+          ? property.key.name === name
+          : property.key.value === name),
+    ) || null
+  );
+}
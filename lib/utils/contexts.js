@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Matching callbacks against `longLivedContexts` entries
+ *
+ * Entries are either strings or objects:
+ *   "on"                            callee name
+ *   "/^on[A-Z]/"                    regex tested against the callee name
+ *   "use*Effect"                    glob tested against the callee name
+ *   "window.requestAnimationFrame"  full dotted callee path (globs allowed)
+ *   { object: "process", method: "on", argIndex: 1 }
+ *                                   receiver path, callee name and the
+ *                                   position of the callback argument
+ *
+ * Object entries can also carry settings for the callbacks they match:
+ *   { method: "setInterval", risk: "high", allowAsync: true }
+ */
+
+import { getCalleeName, getMemberPath } from "./ast.js";
+
+// Functions that are known to hold callbacks long-term
+export const defaultLongLivedContexts = [
+  "addEventListener",
+  "setTimeout",
+  "setInterval",
+  "on",
+  "once",
+  "subscribe",
+];
+
+// Risk levels, lowest first
+export const riskLevels = ["low", "medium", "high"];
+
+// Risk of contexts by callee name when an entry does not set one. Repeating
+// and until-removed callbacks retain their scope for much longer than
+// one-shot ones. Anything else is "medium".
+export const defaultContextRisks = {
+  setInterval: "high",
+  addEventListener: "high",
+  on: "high",
+  subscribe: "high",
+  setTimeout: "low",
+  once: "low",
+};
+
+/**
+ * JSON schema for a single `longLivedContexts` entry
+ */
+export const contextEntrySchema = {
+  anyOf: [
+    { type: "string" },
+    {
+      type: "object",
+      properties: {
+        object: { type: "string" },
+        method: { type: "string" },
+        argIndex: { type: "integer", minimum: 0 },
+        // Never report callbacks passed here
+        ignore: { type: "boolean" },
+        // Report async wrappers here, overriding `includeAsync`
+        allowAsync: { type: "boolean" },
+        // Report wrappers that pass arguments here (default: true)
+        allowArgs: { type: "boolean" },
+        // Callbacks are always called without arguments, so that `autofix`
+        // may apply here
+        callsWithoutArguments: { type: "boolean" },
+        // Shown in the message and compared with `minimumRisk`
+        risk: { enum: riskLevels },
+      },
+      required: ["method"],
+      additionalProperties: false,
+    },
+  ],
+};
+
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Compile a pattern into a test function: "/source/flags" is a regex,
+ * `*` matches any run of characters other than `.`, and anything else
+ * must match exactly. Invalid regexes throw an error naming the option
+ * they were given in.
+ * @param {string} pattern
+ * @param {string} [optionName]
+ */
+export function compilePattern(pattern, optionName = "longLivedContexts") {
+  const regex = /^\/(.+)\/([dgimsuvy]*)$/.exec(pattern);
+  if (regex) {
+    // `g` and `y` would make test() resume where the last match ended
+    const flags = regex[2].replace(/[gy]/g, "");
+    let re;
+    try {
+      re = new RegExp(regex[1], flags);
+    } catch (error) {
+      throw new Error(
+        `Invalid pattern "${pattern}" in ${optionName}: ${error.message}`,
+      );
+    }
+    return (text) => text !== null && re.test(text);
+  }
+  if (pattern.includes("*")) {
+    const source = pattern.split("*").map(escapeRegExp).join("[^.]*");
+    const re = new RegExp(`^${source}$`);
+    return (text) => text !== null && re.test(text);
+  }
+  return (text) => text === pattern;
+}
+
+/**
+ * Check if a pattern string is a regex literal
+ */
+function isRegexPattern(pattern) {
+  return pattern.startsWith("/") && pattern.lastIndexOf("/") > 0;
+}
+
+/**
+ * Check if a `longLivedContexts` entry names the receiver of its calls:
+ * an object entry with `object`, or a dotted path like "fs.watch"
+ * @param {string | object} entry
+ */
+export function namesReceiver(entry) {
+  if (typeof entry === "string") {
+    return !isRegexPattern(entry) && entry.includes(".");
+  }
+  return entry.object !== undefined;
+}
+
+/**
+ * Compile a `longLivedContexts` entry into a test function taking the
+ * call's callee and the index of the callback argument
+ */
+function compileEntry(entry) {
+  if (typeof entry === "string") {
+    const test = compilePattern(entry);
+    if (!isRegexPattern(entry) && entry.includes(".")) {
+      return (callee) => test(getMemberPath(callee));
+    }
+    return (callee) => test(getCalleeName(callee));
+  }
+
+  const testMethod = compilePattern(entry.method);
+  const testObject = entry.object === undefined ? null : compilePattern(entry.object);
+  return (callee, argIndex) => {
+    if (entry.argIndex !== undefined && entry.argIndex !== argIndex) {
+      return false;
+    }
+    if (!testMethod(getCalleeName(callee))) return false;
+    if (!testObject) return true;
+    return (
+      callee.type === "MemberExpression" &&
+      testObject(getMemberPath(callee.object))
+    );
+  };
+}
+
+/**
+ * Create a matcher for a list of `longLivedContexts` entries.
+ * The matcher takes a callback node and returns the first entry whose
+ * context (a call or `new` expression) the callback is passed to, or null.
+ * @param {Array<string | object>} entries
+ * @returns {(node: import('estree').Node) => string | object | null}
+ */
+export function createContextMatcher(entries) {
+  const compiled = entries.map((entry) => ({ entry, test: compileEntry(entry) }));
+  return (node) => {
+    const parent = node.parent;
+    // Constructors such as `new MutationObserver(callback)` hold callbacks too
+    if (parent.type !== "CallExpression" && parent.type !== "NewExpression") {
+      return null;
+    }
+    const argIndex = parent.arguments.indexOf(node);
+    if (argIndex === -1) return null;
+    const match = compiled.find(({ test }) => test(parent.callee, argIndex));
+    return match ? match.entry : null;
+  };
+}
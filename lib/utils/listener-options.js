@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Listener registration methods, and reading and extending
+ * addEventListener options
+ */
+
+import { findProperty } from "./ast.js";
+
+// Registration methods and the methods that undo them
+export const removeMethodsByAdd = {
+  addEventListener: ["removeEventListener"],
+  addListener: ["removeListener", "off"],
+  on: ["off", "removeListener"],
+};
+
+/**
+ * Check if addEventListener options make the listener go away by itself:
+ * a `signal`, or a `once` other than `false`. Returns null when the options
+ * cannot be inspected statically: spreads, computed keys, or a variable.
+ * A missing argument and the legacy `useCapture` boolean return false.
+ * @param {import('estree').Node | undefined} optionsArg
+ * @returns {boolean | null}
+ */
+export function isSelfRemoving(optionsArg) {
+  if (!optionsArg || optionsArg.type === "Literal") return false;
+  if (
+    optionsArg.type !== "ObjectExpression" ||
+    optionsArg.properties.some(
+      (property) => property.type !== "Property" || property.computed,
+    )
+  ) {
+    return null;
+  }
+  const once = findProperty(optionsArg, "once");
+  const isOnce =
+    !!once && !(once.value.type === "Literal" && once.value.value === false);
+  return isOnce || !!findProperty(optionsArg, "signal");
+}
+
+/**
+ * Check if addEventListener options already decide how long the listener
+ * stays registered, or cannot be inspected: an explicit `once` (even
+ * false), a `signal`, spreads, computed keys, or a variable
+ * @param {import('estree').Node | undefined} optionsArg
+ */
+export function hasLifetimeOption(optionsArg) {
+  const selfRemoving = isSelfRemoving(optionsArg);
+  if (selfRemoving !== false) return true;
+  return optionsArg?.type === "ObjectExpression" && !!findProperty(optionsArg, "once");
+}
+
+/**
+ * Get a fix adding a property such as `once: true` to the options of an
+ * addEventListener call. Returns null when the options cannot be extended
+ * safely, like the legacy `useCapture` boolean.
+ * @param {import('estree').CallExpression} node
+ * @param {string} propertyText
+ */
+export function getAddOptionFix(node, propertyText) {
+  const optionsArg = node.arguments[2];
+  if (!optionsArg) {
+    return (fixer) =>
+      fixer.insertTextAfter(node.arguments[1], `, { ${propertyText} }`);
+  }
+  if (optionsArg.type !== "ObjectExpression") return null;
+  if (optionsArg.properties.length === 0) {
+    return (fixer) => fixer.replaceText(optionsArg, `{ ${propertyText} }`);
+  }
+  return (fixer) =>
+    fixer.insertTextBefore(optionsArg.properties[0], `${propertyText}, `);
+}
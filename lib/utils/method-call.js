@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Detecting closures that only wrap a method call
+ */
+
+import { getCalleeName, getMemberPath, isBindCall } from "./ast.js";
+import { isStableExpression } from "./scope.js";
+
+/**
+ * Check if a node is a call, including optional calls: obj?.method()
+ */
+function isCall(node) {
+  if (node.type === "ChainExpression") {
+    return node.expression.type === "CallExpression";
+  }
+  return node.type === "CallExpression";
+}
+
+/**
+ * Get the call from an expression that is a call or an awaited call
+ */
+function getCallOrAwaitedCall(expr) {
+  if (isCall(expr)) {
+    // obj.method()
+    return expr;
+  }
+  if (expr.type === "AwaitExpression" && isCall(expr.argument)) {
+    // await obj.method()
+    return expr.argument;
+  }
+  return null;
+}
+
+/**
+ * Get the call a wrapper function makes when that is all it does:
+ *   () => obj.method()
+ *   async () => await obj.method()
+ *   () => { obj.method(); }
+ *   function() { obj.method(); }
+ *   async function() { await obj.method(); }
+ * Returns the call (possibly a ChainExpression), or null otherwise
+ * @param {import('estree').Function} node
+ */
+export function getWrappedCall(node) {
+  const body = node.body;
+  if (body.type !== "BlockStatement") {
+    return getCallOrAwaitedCall(body);
+  }
+  if (body.body.length !== 1) return null;
+
+  const stmt = body.body[0];
+  if (stmt.type !== "ExpressionStatement") return null;
+  return getCallOrAwaitedCall(stmt.expression);
+}
+
+/**
+ * Check if a node can be a `this` argument that .bind() may take instead:
+ * a name, `this` or a property read, but not a literal like "method"
+ */
+function isThisArgument(node) {
+  return (
+    node.type === "Identifier" ||
+    node.type === "ThisExpression" ||
+    node.type === "MemberExpression"
+  );
+}
+
+/**
+ * Get the function, `this` argument and arguments of a call that goes
+ * through Function.prototype or Reflect:
+ *   fn.call(obj, a)               { fn, thisArg: obj, args: [a] }
+ *   fn.apply(obj, [a])            { fn, thisArg: obj, args: [a] }
+ *   Reflect.apply(fn, obj, [a])   { fn, thisArg: obj, args: [a] }
+ *   fn.bind(obj, a)(b)            { fn, thisArg: obj, args: [a, b] }
+ * Argument arrays must be array literals. Returns null for other calls.
+ */
+function getIndirectCall(call) {
+  const callee = call.callee;
+  let fn;
+  let thisArg;
+  let args;
+  let argsArray;
+
+  if (isBindCall(callee)) {
+    fn = callee.callee.object;
+    [thisArg] = callee.arguments;
+    args = [...callee.arguments.slice(1), ...call.arguments];
+  } else if (getMemberPath(callee) === "Reflect.apply") {
+    [fn, thisArg, argsArray] = call.arguments;
+  } else if (callee.type === "MemberExpression" && !callee.computed) {
+    const name = getCalleeName(callee);
+    if (name === "call") {
+      fn = callee.object;
+      [thisArg] = call.arguments;
+      args = call.arguments.slice(1);
+    } else if (name === "apply" && call.arguments.length <= 2) {
+      fn = callee.object;
+      [thisArg, argsArray] = call.arguments;
+    }
+  }
+
+  if (!fn || !thisArg || !isThisArgument(thisArg)) return null;
+  if (!args) {
+    if (!argsArray) {
+      args = [];
+    } else if (
+      argsArray.type === "ArrayExpression" &&
+      argsArray.elements.every((element) => element !== null)
+    ) {
+      args = argsArray.elements;
+    } else {
+      return null;
+    }
+  }
+  return { fn, thisArg, args };
+}
+
+/**
+ * Check if a node is a method call: obj.method(), obj.method(args),
+ * obj[key]() with a stable key, or an optional chain such as obj?.method().
+ * Calls through .call(), .apply(), Reflect.apply() and .bind()() count as
+ * well: obj.method.call(obj) is obj.method(), and fn.call(obj) is
+ * described with `fn` set to the function it calls.
+ * Returns { callee, object, method, accessor, arguments, optional, fn } if
+ * it matches, null otherwise
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {import('estree').Node} node
+ * @param {boolean} [allowArgs]
+ */
+export function getMethodCall(sourceCode, node, allowArgs = false) {
+  const optional = node.type === "ChainExpression";
+  const call = optional ? node.expression : node;
+  if (call.type !== "CallExpression") return null;
+
+  let callee = call.callee;
+  let args = call.arguments;
+  const indirect = getIndirectCall(call);
+  if (indirect) {
+    const { fn, thisArg } = indirect;
+    args = indirect.args;
+    if (
+      fn.type !== "MemberExpression" ||
+      sourceCode.getText(fn.object) !== sourceCode.getText(thisArg)
+    ) {
+      // fn.call(obj): the function is not a property of its `this`
+      if (getMemberPath(fn) === null) return null;
+      if (!allowArgs && args.length > 0) return null;
+      return {
+        callee: fn,
+        object: thisArg,
+        method: sourceCode.getText(fn),
+        accessor: null,
+        arguments: args,
+        optional,
+        fn,
+      };
+    }
+    callee = fn;
+  }
+
+  if (callee.type !== "MemberExpression") {
+    return null;
+  }
+  if (!allowArgs && args.length > 0) {
+    return null;
+  }
+
+  let method;
+  let accessor;
+  if (callee.computed) {
+    // obj[key]() - the key is evaluated early by .bind(), so it must be stable
+    if (!isStableExpression(sourceCode, callee.property)) return null;
+    method = sourceCode.getText(callee.property);
+    accessor = `[${method}]`;
+  } else if (callee.property.type === "Identifier") {
+    method = callee.property.name;
+    accessor = `.${method}`;
+  } else if (callee.property.type === "PrivateIdentifier") {
+    // this.#method() - valid in the replacement, which stays in the class
+    method = `#${callee.property.name}`;
+    accessor = `.${method}`;
+  } else {
+    return null;
+  }
+
+  return {
+    callee,
+    object: callee.object,
+    method,
+    accessor,
+    arguments: args,
+    optional,
+    fn: null,
+  };
+}
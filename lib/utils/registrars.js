@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Inferring user-defined registrars
+ *
+ * A registrar is a function that keeps a callback parameter alive:
+ *   function listen(target, type, cb) { target.addEventListener(type, cb); }
+ *   register(cb) { this.handlers.push(cb); }
+ *   const onReady = (cb) => listen(window, "load", cb);
+ *
+ * Registrars are described with `longLivedContexts` objects
+ * ({ method, argIndex }) so they can be matched like configured contexts,
+ * and shared between files through a JSON cache.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { getCalleeName, getMemberPath } from "./ast.js";
+import { findVariable } from "./scope.js";
+
+// Methods that store their arguments in a collection
+const collectionMethods = ["push", "unshift", "set", "add"];
+
+/**
+ * Get the name a function can be called by: its declared name, the variable
+ * it initializes, or the method, field or property it defines.
+ * Returns null for anonymous functions.
+ */
+function getFunctionName(node) {
+  if (node.type === "FunctionDeclaration") {
+    return node.id ? node.id.name : null;
+  }
+  const parent = node.parent;
+  if (parent.type === "VariableDeclarator" && parent.init === node) {
+    return parent.id.type === "Identifier" ? parent.id.name : null;
+  }
+  if (
+    (parent.type === "MethodDefinition" ||
+      parent.type === "PropertyDefinition" ||
+      parent.type === "Property") &&
+    parent.value === node &&
+    !parent.computed &&
+    parent.key.type === "Identifier"
+  ) {
+    return parent.key.name;
+  }
+  return null;
+}
+
+/**
+ * Check if a collection outlives the call storing into it: a `this`
+ * property, or a module-level or global binding
+ */
+function isLongLivedCollection(sourceCode, receiver) {
+  if (getMemberPath(receiver)?.startsWith("this.")) return true;
+  if (receiver.type !== "Identifier") return false;
+  const variable = findVariable(sourceCode, receiver);
+  return (
+    !variable ||
+    variable.scope.type === "module" ||
+    variable.scope.type === "global"
+  );
+}
+
+/**
+ * Check if a parameter reference hands the callback to something that
+ * keeps it: a long-lived context, a long-lived collection, or a registrar
+ * inferred so far
+ */
+function isRetainingReference(sourceCode, ref, matchContext, isKnownRegistrar) {
+  const identifier = ref.identifier;
+  const parent = identifier.parent;
+  if (
+    (parent.type !== "CallExpression" && parent.type !== "NewExpression") ||
+    !parent.arguments.includes(identifier)
+  ) {
+    return false;
+  }
+  if (matchContext(identifier)) return true;
+
+  const name = getCalleeName(parent.callee);
+  if (isKnownRegistrar(name, parent.arguments.indexOf(identifier))) {
+    return true;
+  }
+  return (
+    parent.callee.type === "MemberExpression" &&
+    collectionMethods.includes(name) &&
+    isLongLivedCollection(sourceCode, parent.callee.object)
+  );
+}
+
+/**
+ * Infer the registrars defined in a file
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {(node: import('estree').Node) => unknown} matchContext
+ * @param {Array<{ method: string, argIndex: number }>} [known] registrars
+ *   defined elsewhere, which functions may forward to
+ * @returns {Array<{ method: string, argIndex: number }>}
+ */
+export function inferRegistrars(sourceCode, matchContext, known = []) {
+  // Named functions and the parameters they may retain
+  const candidates = [];
+  for (const scope of sourceCode.scopeManager.scopes) {
+    if (scope.type !== "function") continue;
+    const name = getFunctionName(scope.block);
+    if (!name) continue;
+    scope.block.params.forEach((param, argIndex) => {
+      if (param.type !== "Identifier") return;
+      const variable = scope.set.get(param.name);
+      if (variable) candidates.push({ method: name, argIndex, variable });
+    });
+  }
+
+  const found = [];
+  const isKnownRegistrar = (method, argIndex) =>
+    [...known, ...found].some(
+      (entry) => entry.method === method && entry.argIndex === argIndex,
+    );
+
+  // Repeat until no new registrar turns up, so that functions forwarding
+  // to a registrar defined further down are found as well
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const candidate of candidates) {
+      if (isKnownRegistrar(candidate.method, candidate.argIndex)) continue;
+      const retains = candidate.variable.references.some((ref) =>
+        isRetainingReference(sourceCode, ref, matchContext, isKnownRegistrar),
+      );
+      if (retains) {
+        found.push({ method: candidate.method, argIndex: candidate.argIndex });
+        changed = true;
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Read the registrars of all files from a cache file, keyed by file.
+ * A missing or unreadable cache is treated as empty.
+ * @param {string} cacheFile
+ * @returns {Record<string, Array<{ method: string, argIndex: number }>>}
+ */
+export function readRegistrarCache(cacheFile) {
+  try {
+    const cache = JSON.parse(fs.readFileSync(cacheFile, "utf8"));
+    return cache && typeof cache.files === "object" ? cache.files : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Store the registrars of one file in a cache file. Files without
+ * registrars are removed from it. Write errors are ignored, as the cache
+ * only adds findings. The file is read and rewritten as a whole, so
+ * processes linting at the same time (`--concurrency`) may lose entries.
+ * @param {string} cacheFile
+ * @param {string} file
+ * @param {Array<{ method: string, argIndex: number }>} registrars
+ */
+export function writeRegistrarCache(cacheFile, file, registrars) {
+  const files = readRegistrarCache(cacheFile);
+  const previous = JSON.stringify(files[file] ?? []);
+  if (previous === JSON.stringify(registrars)) return;
+
+  if (registrars.length > 0) {
+    files[file] = registrars;
+  } else {
+    delete files[file];
+  }
+  try {
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    fs.writeFileSync(cacheFile, `${JSON.stringify({ files }, null, 2)}\n`);
+  } catch {
+    // Read-only checkouts still lint, just without cross-file registrars
+  }
+}
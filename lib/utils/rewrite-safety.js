@@ -0,0 +1,269 @@
+/**
+ * @fileoverview Checking that a wrapper can be rewritten with .bind()
+ *
+ * The rewrite evaluates the receiver, the method and bound arguments once,
+ * when the callback is created, and only the call itself later. Wrappers
+ * for which that is a behavior change, or not valid syntax, have no rewrite:
+ *   function* () { obj.method(); }     calling it only creates an iterator
+ *   () => new Foo().start()            a new receiver on every call
+ *   () => tag`x`.start()               the tag runs on every call
+ *   () => this.service.stop()          `service` is a getter
+ *   function () { this.stop(); }       `this` is set by the caller
+ *   function () { log(arguments); }    `arguments` of the callback
+ *   async () => obj.method(await x)    `await` cannot leave the callback
+ *
+ * `super`, private names and `import.meta` are rewritten in place:
+ * super.stop.bind(this), this.#stop.bind(this),
+ * import.meta.hot.accept.bind(import.meta.hot).
+ */
+
+import { getStaticString, isFunctionNode } from "./ast.js";
+import { findVariable } from "./scope.js";
+
+/**
+ * Find the first node below (and including) `node` that passes `test`,
+ * without entering the nodes that pass `skip`
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {import('estree').Node} node
+ * @param {(node: import('estree').Node) => boolean} test
+ * @param {(node: import('estree').Node) => boolean} [skip]
+ * @returns {import('estree').Node | null}
+ */
+function findNode(sourceCode, node, test, skip = () => false) {
+  if (test(node)) return node;
+  if (skip(node)) return null;
+  for (const key of sourceCode.visitorKeys[node.type] ?? []) {
+    for (const child of [node[key]].flat()) {
+      if (!child?.type) continue;
+      const found = findNode(sourceCode, child, test, skip);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check if a node is a function with its own `this`, `arguments` and
+ * `new.target`
+ */
+function isNonArrowFunction(node) {
+  return (
+    node.type === "FunctionExpression" || node.type === "FunctionDeclaration"
+  );
+}
+
+/**
+ * Check if a node is any function
+ */
+function isAnyFunction(node) {
+  return isFunctionNode(node) || node.type === "FunctionDeclaration";
+}
+
+/**
+ * Get the name of a property key or member property: `name`, `#name`,
+ * or the value of a literal. Returns null for other computed keys.
+ */
+function getKeyName(key, computed) {
+  if (key.type === "PrivateIdentifier") return `#${key.name}`;
+  if (key.type === "Identifier" && !computed) return key.name;
+  if (key.type === "Literal") return String(key.value);
+  return null;
+}
+
+/**
+ * Get the members declared on the object an expression refers to, when
+ * it is known: the class or object literal around `this`, or the class or
+ * object literal a binding is initialized with.
+ * @returns {{ members: import('estree').Node[], isStatic: boolean } | null}
+ */
+function getDeclaredMembers(sourceCode, object) {
+  if (object.type === "ThisExpression") {
+    let current = object.parent;
+    while (current && !isNonArrowFunction(current)) {
+      // Field initializers and static blocks have their own `this`
+      if (current.type === "PropertyDefinition") {
+        return { members: current.parent.body, isStatic: current.static };
+      }
+      if (current.type === "StaticBlock") {
+        return { members: current.parent.body, isStatic: true };
+      }
+      current = current.parent;
+    }
+    const parent = current?.parent;
+    if (parent?.type === "MethodDefinition") {
+      return { members: parent.parent.body, isStatic: parent.static };
+    }
+    if (parent?.type === "Property" && parent.parent.type === "ObjectExpression") {
+      return { members: parent.parent.properties, isStatic: false };
+    }
+    return null;
+  }
+
+  if (object.type !== "Identifier") return null;
+  const variable = findVariable(sourceCode, object);
+  if (!variable || variable.defs.length !== 1) return null;
+  const def = variable.defs[0];
+  const init = def.type === "ClassName" ? def.node : def.node.init;
+  if (init?.type === "ObjectExpression") {
+    return { members: init.properties, isStatic: false };
+  }
+  if (init?.type === "ClassDeclaration" || init?.type === "ClassExpression") {
+    return { members: init.body.body, isStatic: true };
+  }
+  return null;
+}
+
+/**
+ * Check if a member expression reads a property that is declared with a
+ * getter, which may return something else on every read
+ */
+function isGetterRead(sourceCode, member) {
+  const name = getKeyName(member.property, member.computed);
+  const declared = name !== null && getDeclaredMembers(sourceCode, member.object);
+  if (!declared) return false;
+  return declared.members.some(
+    (definition) =>
+      definition.kind === "get" &&
+      (definition.static ?? false) === declared.isStatic &&
+      getKeyName(definition.key, definition.computed) === name,
+  );
+}
+
+// Properties each file may replace, by source code
+const writtenProperties = new WeakMap();
+
+/**
+ * Get the property of a member expression as `<object>.<name>`, with `*`
+ * for a computed name that is not a literal
+ */
+function getPropertyPath(sourceCode, member) {
+  const name = getKeyName(member.property, member.computed) ?? "*";
+  return `${sourceCode.getText(member.object)}.${name}`;
+}
+
+/**
+ * Get the properties a file may replace: assignment, update and `delete`
+ * targets, and properties named right after their object in a call, as in
+ * spyOn(obj, "method"), Object.defineProperty(obj, "method", ...) or
+ * Object.assign(obj, { method })
+ * @param {import('eslint').SourceCode} sourceCode
+ * @returns {Set<string>} paths from getPropertyPath()
+ */
+function getWrittenProperties(sourceCode) {
+  if (writtenProperties.has(sourceCode)) return writtenProperties.get(sourceCode);
+  const written = new Set();
+  const add = (node) => {
+    if (node?.type === "MemberExpression") {
+      written.add(getPropertyPath(sourceCode, node));
+    }
+  };
+  findNode(sourceCode, sourceCode.ast, (node) => {
+    if (node.type === "AssignmentExpression") add(node.left);
+    if (node.type === "UpdateExpression") add(node.argument);
+    if (node.type === "UnaryExpression" && node.operator === "delete") {
+      add(node.argument);
+    }
+    if (node.type === "CallExpression") {
+      for (let i = 1; i < node.arguments.length; i++) {
+        const next = node.arguments[i];
+        const names =
+          next.type === "ObjectExpression"
+            ? next.properties.map((p) => (p.key ? getKeyName(p.key, p.computed) : null))
+            : [getStaticString(next)];
+        for (const name of names.filter((n) => n !== null)) {
+          written.add(`${sourceCode.getText(node.arguments[i - 1])}.${name}`);
+        }
+      }
+    }
+    return false;
+  });
+  writtenProperties.set(sourceCode, written);
+  return written;
+}
+
+/**
+ * Check if the method a call reads may be replaced anywhere in the file,
+ * so that .bind(), which reads it once, could keep calling the old one
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {import('estree').MemberExpression} callee
+ */
+export function isMethodReplaced(sourceCode, callee) {
+  const written = getWrittenProperties(sourceCode);
+  const path = getPropertyPath(sourceCode, callee);
+  const object = path.slice(0, path.lastIndexOf("."));
+  if (path.endsWith(".*")) {
+    return [...written].some((p) => p.startsWith(`${object}.`));
+  }
+  return written.has(path) || written.has(`${object}.*`);
+}
+
+/**
+ * Get the reason a wrapper around a method call has no equivalent .bind()
+ * rewrite, or null if it has one
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {import('estree').Function} node the wrapper
+ * @param {{ callee: import('estree').Node, object: import('estree').Node,
+ *   fn: import('estree').Node | null, arguments: import('estree').Node[] }} methodCall
+ * @returns {"generator" | "new" | "tagged-template" | "getter" | "this" |
+ *   "arguments" | "new.target" | "await" | null}
+ */
+export function getUnsafeRewriteReason(sourceCode, node, methodCall) {
+  if (node.generator) return "generator";
+
+  // Receivers that are created anew on every call
+  const receivers = [methodCall.object, methodCall.fn].filter(Boolean);
+  for (const receiver of receivers) {
+    const created = findNode(
+      sourceCode,
+      receiver,
+      (n) => n.type === "NewExpression" || n.type === "TaggedTemplateExpression",
+      isAnyFunction,
+    );
+    if (created) {
+      return created.type === "NewExpression" ? "new" : "tagged-template";
+    }
+  }
+
+  // Getters on the receiver, or on the method itself
+  const chains = methodCall.fn
+    ? [methodCall.fn, methodCall.object]
+    : [methodCall.callee];
+  for (let member of chains) {
+    for (; member.type === "MemberExpression"; member = member.object) {
+      if (isGetterRead(sourceCode, member)) return "getter";
+    }
+  }
+
+  const parts = [...receivers, ...methodCall.arguments];
+  const isAwait = (n) => n.type === "AwaitExpression";
+  if (parts.some((part) => findNode(sourceCode, part, isAwait, isAnyFunction))) {
+    return "await";
+  }
+
+  if (node.type === "ArrowFunctionExpression") return null;
+  // `this`, `arguments` and `new.target` of the wrapper itself
+  const ownArguments = sourceCode.getScope(node).set.get("arguments");
+  if (ownArguments && ownArguments.references.length > 0) return "arguments";
+  for (const part of parts) {
+    const own = findNode(
+      sourceCode,
+      part,
+      (n) =>
+        n.type === "ThisExpression" ||
+        (n.type === "MetaProperty" && n.meta.name === "new"),
+      isNonArrowFunction,
+    );
+    if (own) return own.type === "ThisExpression" ? "this" : "new.target";
+  }
+  return null;
+}
+
+/**
+ * Check if code uses a private name (`#name`), which is only valid inside
+ * its class and so cannot be moved to module level
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {import('estree').Node} node
+ */
+export function usesPrivateName(sourceCode, node) {
+  return !!findNode(sourceCode, node, (n) => n.type === "PrivateIdentifier");
+}
@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Scope helpers for working out what a closure keeps alive
+ *
+ * Engines allocate one context object per scope for every binding that is
+ * referenced from a nested function. A closure created in that scope retains
+ * the whole context, including bindings only its sibling closures use.
+ */
+
+/**
+ * Check if a scope ends the chain of contexts a closure can retain.
+ * Module and global bindings live for the whole program anyway.
+ */
+function isProgramScope(scope) {
+  return scope.type === "global" || scope.type === "module";
+}
+
+/**
+ * Check if a scope provides its own `this` (anything but an arrow function)
+ */
+function isThisBoundary(scope) {
+  if (scope.type === "function") {
+    return scope.block.type !== "ArrowFunctionExpression";
+  }
+  return (
+    scope.type === "class-field-initializer" ||
+    scope.type === "class-static-block"
+  );
+}
+
+/**
+ * Check if `this` is used lexically anywhere below a scope without crossing
+ * into a function that has its own `this`
+ */
+function usesLexicalThis(scope) {
+  return scope.childScopes.some(
+    (child) =>
+      !isThisBoundary(child) && (child.thisFound || usesLexicalThis(child)),
+  );
+}
+
+/**
+ * Check if a variable is referenced from a function nested below its own
+ */
+function isCapturedByClosure(variable) {
+  const owner = variable.scope.variableScope;
+  return variable.references.some((ref) => ref.from.variableScope !== owner);
+}
+
+/**
+ * Collect the names of bindings a closure keeps alive through its
+ * enclosing (non-module) scopes. `this` is listed when the closure is an
+ * arrow function and the enclosing function's `this` is captured.
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {import('estree').Function} node
+ * @returns {string[]}
+ */
+export function getRetainedBindings(sourceCode, node) {
+  const names = [];
+  const own = sourceCode.getScope(node);
+
+  for (let scope = own.upper; scope && !isProgramScope(scope); scope = scope.upper) {
+    for (const variable of scope.variables) {
+      if (isCapturedByClosure(variable) && !names.includes(variable.name)) {
+        names.push(variable.name);
+      }
+    }
+  }
+
+  if (node.type === "ArrowFunctionExpression") {
+    let scope = own.upper;
+    while (scope && !isProgramScope(scope) && !isThisBoundary(scope)) {
+      scope = scope.upper;
+    }
+    if (scope && !isProgramScope(scope) && usesLexicalThis(scope)) {
+      names.unshift("this");
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Find the variable an identifier resolves to, or null for globals that
+ * are not declared in the file
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {import('estree').Identifier} identifier
+ */
+export function findVariable(sourceCode, identifier) {
+  let scope = sourceCode.getScope(identifier);
+  for (; scope; scope = scope.upper) {
+    const variable = scope.set.get(identifier.name);
+    if (variable) return variable;
+  }
+  return null;
+}
+
+/**
+ * Check if a variable is declared before `node` and always holds the value
+ * it was initialized with: a const binding, or a let/var binding that is
+ * never written after its declaration
+ */
+function isConstantBefore(variable, node) {
+  if (variable.defs.length !== 1) return false;
+  const def = variable.defs[0];
+  if (def.type !== "Variable" || def.name.range[1] > node.range[0]) {
+    return false;
+  }
+  if (def.parent.kind === "const") return true;
+  return (
+    def.node.init !== null &&
+    variable.references.every((ref) => !ref.isWrite() || ref.init)
+  );
+}
+
+/**
+ * Check if a binding is initialized with Object.freeze(...)
+ */
+function isFrozen(variable) {
+  const init = variable.defs[0].node.init;
+  return (
+    init?.type === "CallExpression" &&
+    init.callee.type === "MemberExpression" &&
+    !init.callee.computed &&
+    init.callee.object.type === "Identifier" &&
+    init.callee.object.name === "Object" &&
+    init.callee.property.name === "freeze"
+  );
+}
+
+// Globals whose value cannot be changed
+const constantGlobals = ["undefined", "NaN", "Infinity"];
+
+/**
+ * Check if evaluating an expression early, at the position of `at`, gives
+ * the same value as evaluating it later: literals, bindings that are never
+ * reassigned, and property reads from frozen bindings.
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {import('estree').Node} node
+ * @param {import('estree').Node} [at] defaults to `node`
+ * @returns {boolean}
+ */
+export function isStableExpression(sourceCode, node, at = node) {
+  switch (node.type) {
+    case "Literal":
+      // Regex literals create a new, stateful object on every evaluation
+      return !node.regex;
+    case "TemplateLiteral":
+      return node.expressions.every((expr) =>
+        isStableExpression(sourceCode, expr, at),
+      );
+    case "UnaryExpression":
+      return (
+        node.operator !== "delete" &&
+        isStableExpression(sourceCode, node.argument, at)
+      );
+    case "Identifier": {
+      const variable = findVariable(sourceCode, node);
+      if (!variable || variable.defs.length === 0) {
+        return constantGlobals.includes(node.name);
+      }
+      return isConstantBefore(variable, at);
+    }
+    case "MemberExpression": {
+      if (
+        node.computed &&
+        !isStableExpression(sourceCode, node.property, at)
+      ) {
+        return false;
+      }
+      // Object.freeze() is shallow, so only direct reads are stable
+      if (node.object.type !== "Identifier") return false;
+      const variable = findVariable(sourceCode, node.object);
+      return !!variable && isConstantBefore(variable, at) && isFrozen(variable);
+    }
+    default:
+      return false;
+  }
+}
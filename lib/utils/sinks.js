@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Matching callbacks stored somewhere other than a call
+ *
+ * A closure kept in a long-lived place retains its scope just like one
+ * passed to `addEventListener`:
+ *   el.onclick = () => obj.run();                properties
+ *   this.handlers.push(() => obj.run());         collections
+ *   module.exports.cb = () => obj.run();         exports
+ *   Bun.serve({ fetch: (req) => app.fetch(req) }) optionObjects
+ */
+
+import { getCalleeName, getMemberPath, getStaticString } from "./ast.js";
+import { compilePattern } from "./contexts.js";
+
+/**
+ * JSON schema for the `sinks` option
+ */
+export const sinksSchema = {
+  type: "object",
+  properties: {
+    // Property names whose assignment stores a callback: "/^on[a-z]/"
+    properties: { type: "array", items: { type: "string" } },
+    // Methods that store their arguments: "push", "set", "add"
+    collections: { type: "array", items: { type: "string" } },
+    // Assignments to module.exports / exports and `export default`
+    exports: { type: "boolean" },
+    // Properties of object literals passed to long-lived contexts
+    optionObjects: { type: "boolean" },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * Get the name of the property a member expression writes to
+ */
+function getPropertyName(member) {
+  if (!member.computed) {
+    return member.property.type === "Identifier" ? member.property.name : null;
+  }
+  return getStaticString(member.property);
+}
+
+/**
+ * Check if an assignment target is part of the CommonJS exports
+ */
+function isExportsTarget(target) {
+  const path = getMemberPath(target);
+  return (
+    path !== null &&
+    (path === "module.exports" ||
+      path.startsWith("module.exports.") ||
+      path.startsWith("exports."))
+  );
+}
+
+/**
+ * Create a matcher for the `sinks` option.
+ * The matcher takes a callback node and returns the context entry it is
+ * stored by: `getContextEntry()` of the call an option object is passed
+ * to, an empty entry for the other sinks, or null.
+ * @param {object} sinks
+ * @param {(node: import('estree').Node) => string | object | null} getContextEntry
+ * @returns {(node: import('estree').Node) => string | object | null}
+ */
+export function createSinkMatcher(sinks, getContextEntry) {
+  const propertyTests = (sinks.properties || []).map((pattern) =>
+    compilePattern(pattern, "sinks.properties"),
+  );
+  const collectionTests = (sinks.collections || []).map((pattern) =>
+    compilePattern(pattern, "sinks.collections"),
+  );
+
+  return (node) => {
+    const parent = node.parent;
+
+    if (
+      parent.type === "AssignmentExpression" &&
+      parent.operator === "=" &&
+      parent.right === node &&
+      parent.left.type === "MemberExpression"
+    ) {
+      if (sinks.exports && isExportsTarget(parent.left)) return {};
+      const name = getPropertyName(parent.left);
+      return propertyTests.some((test) => test(name)) ? {} : null;
+    }
+
+    if (parent.type === "ExportDefaultDeclaration") {
+      return sinks.exports ? {} : null;
+    }
+
+    if (
+      parent.type === "CallExpression" &&
+      parent.callee.type === "MemberExpression" &&
+      parent.arguments.includes(node)
+    ) {
+      const name = getCalleeName(parent.callee);
+      return collectionTests.some((test) => test(name)) ? {} : null;
+    }
+
+    if (
+      sinks.optionObjects &&
+      parent.type === "Property" &&
+      parent.value === node &&
+      parent.parent.type === "ObjectExpression"
+    ) {
+      return getContextEntry(parent.parent);
+    }
+
+    return null;
+  };
+}
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Type information helpers, used when typed linting is set up
+ * with typescript-eslint. Only the checker API is used, so `typescript`
+ * does not have to be importable from this package.
+ */
+
+// Types whose listener and subscriber methods hold callbacks long-term
+export const defaultLongLivedTypes = [
+  "EventTarget",
+  "EventEmitter",
+  "AbortSignal",
+  "Observable",
+];
+
+/**
+ * Get the parser services when type information is available, else null
+ */
+export function getTypeServices(sourceCode) {
+  const services = sourceCode.parserServices;
+  return services?.program && services.esTreeNodeToTSNodeMap ? services : null;
+}
+
+/**
+ * Collect the names of a type, the types in a union, and all their base
+ * classes and interfaces
+ */
+function collectTypeNames(checker, type, names = new Set()) {
+  if (type.isUnion()) {
+    for (const member of type.types) collectTypeNames(checker, member, names);
+    return names;
+  }
+  const symbol = type.getSymbol() ?? type.aliasSymbol;
+  if (!symbol || names.has(symbol.getName())) return names;
+  names.add(symbol.getName());
+
+  // Generic instances (Observable<T>) list their bases on the target type
+  const target = type.target ?? type;
+  if (target.isClassOrInterface()) {
+    for (const base of checker.getBaseTypes(target)) {
+      collectTypeNames(checker, base, names);
+    }
+  }
+  return names;
+}
+
+/**
+ * Check if the type of an expression is known: not any or unknown
+ */
+function isKnownType(type) {
+  // TypeFlags.Any | TypeFlags.Unknown
+  return (type.flags & (1 | 2)) === 0;
+}
+
+/**
+ * Check if the receiver of a callee is one of the given long-lived types.
+ * Returns null when the receiver's type is not known.
+ * @returns {boolean | null}
+ */
+export function isLongLivedReceiver(services, receiver, typeNames) {
+  const checker = services.program.getTypeChecker();
+  const tsNode = services.esTreeNodeToTSNodeMap.get(receiver);
+  const type = checker.getTypeAtLocation(tsNode);
+  if (!isKnownType(type)) return null;
+  const names = collectTypeNames(checker, checker.getApparentType(type));
+  return typeNames.some((name) => names.has(name));
+}
+
+/**
+ * Describe the property a member expression reads:
+ * - "method": a method, which needs .bind() to keep `this`
+ * - "bound": a property initialized with an arrow function, already bound
+ * - "other": a function-typed property of unknown origin
+ * - "not-function": a property that cannot be called
+ * Returns null when the property cannot be resolved.
+ * @returns {"method" | "bound" | "other" | "not-function" | null}
+ */
+export function getMemberKind(services, member) {
+  const checker = services.program.getTypeChecker();
+  const tsNode = services.esTreeNodeToTSNodeMap.get(member);
+  const symbol = checker.getSymbolAtLocation(tsNode.name ?? tsNode);
+  if (!symbol) return null;
+
+  const type = checker.getTypeAtLocation(tsNode);
+  if (isKnownType(type) && type.getCallSignatures().length === 0) {
+    return "not-function";
+  }
+
+  const declaration = symbol.valueDeclaration ?? symbol.declarations?.[0];
+  if (!declaration) return null;
+  // ts.isArrowFunction(): only arrow functions have a `=>` token
+  if (declaration.initializer && "equalsGreaterThanToken" in declaration.initializer) {
+    return "bound";
+  }
+  // SymbolFlags.Method
+  if (symbol.flags & 8192) return "method";
+  return "other";
+}
@@ -0,0 +1,90 @@
+import path from "node:path";
+import { describe, expect, it } from "vitest";
+import { Linter } from "eslint";
+import plugin from "../../lib/index.js";
+import {
+  collectBaseline,
+  countBaseline,
+  createBaselineMatcher,
+  getBaselineFileKey,
+  mergeBaseline,
+  pruneBaseline,
+} from "../../lib/baseline.js";
+
+const entry = (method, count) => ({
+  context: "setTimeout",
+  receiver: "this",
+  method,
+  count,
+});
+
+describe("baseline", () => {
+  it("keys files by their path relative to the working directory", () => {
+    expect(getBaselineFileKey("/project", "/project/src/view.js")).toBe(
+      "src/view.js",
+    );
+  });
+
+  it("matches each entry at most `count` times", () => {
+    const isBaselined = createBaselineMatcher([entry("update", 2)]);
+    const finding = { context: "setTimeout", receiver: "this", method: "update" };
+    expect(isBaselined(finding)).toBe(true);
+    expect(isBaselined(finding)).toBe(true);
+    expect(isBaselined(finding)).toBe(false);
+    expect(isBaselined({ ...finding, method: "render" })).toBe(false);
+  });
+
+  it("collects the findings the rule recorded, including baselined ones", () => {
+    const linter = new Linter({ cwd: "/project" });
+    const config = {
+      files: ["**/*.js"],
+      plugins: { "prefer-bind": plugin },
+      rules: {
+        "prefer-bind/prefer-bind": [
+          "warn",
+          { baseline: path.resolve("tests/fixtures/baseline.json") },
+        ],
+      },
+    };
+    const filePath = "/project/src/view.js";
+    const messages = linter.verify(
+      "setTimeout(() => this.update(), 1); setTimeout(() => this.update(), 2); setInterval(() => poller.poll(), 1);",
+      config,
+      filePath,
+    );
+    expect(messages).toHaveLength(2);
+
+    expect(collectBaseline([{ filePath }], "/project")).toEqual({
+      "src/view.js": [
+        entry("update", 2),
+        { context: "setInterval", receiver: "poller", method: "poll", count: 1 },
+      ],
+    });
+  });
+
+  it("replaces the entries of linted files when generating", () => {
+    const previous = { "a.js": [entry("update", 1)], "b.js": [entry("update", 1)] };
+    const current = { "c.js": [entry("render", 1)] };
+    expect(mergeBaseline(previous, current, ["a.js", "c.js"])).toEqual({
+      "b.js": [entry("update", 1)],
+      "c.js": [entry("render", 1)],
+    });
+  });
+
+  it("only shrinks the baseline when pruning", () => {
+    const previous = {
+      "src/view.js": [entry("update", 3), entry("render", 1)],
+      "README.md": [entry("update", 1)],
+      "deleted.js": [entry("update", 1)],
+    };
+    const current = {
+      "src/view.js": [entry("update", 2), entry("close", 4)],
+    };
+    const pruned = pruneBaseline(previous, current, ["src/view.js"], process.cwd());
+    expect(pruned).toEqual({
+      "src/view.js": [entry("update", 2)],
+      "README.md": [entry("update", 1)],
+    });
+    expect(countBaseline(pruned)).toBe(3);
+  });
+});
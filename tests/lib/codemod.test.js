@@ -0,0 +1,84 @@
+import { describe, expect, it } from "vitest";
+import { Linter } from "eslint";
+import plugin from "../../lib/index.js";
+import {
+  applyEdits,
+  createUnifiedDiff,
+  getCodemodEdits,
+  hasOverlappingEdits,
+} from "../../lib/codemod.js";
+
+const lint = (code, options = {}) =>
+  new Linter().verify(code, [
+    {
+      plugins: { "prefer-bind": plugin },
+      rules: { "prefer-bind/prefer-bind": ["warn", options] },
+    },
+  ]);
+
+const edit = (start, end, text) => ({ range: [start, end], text });
+
+describe("codemod", () => {
+  it("collects the .bind() suggestions, including timer rewrites", () => {
+    const code = [
+      "setTimeout(() => this.update(1), 5);",
+      "window.addEventListener('resize', () => view.layout());",
+    ].join("\n");
+    const edits = getCodemodEdits(lint(code));
+    expect(applyEdits(code, edits)).toBe(
+      [
+        "setTimeout(this.update.bind(this), 5, 1);",
+        "window.addEventListener('resize', view.layout.bind(view));",
+      ].join("\n"),
+    );
+  });
+
+  it("ignores other rules and suggestions without a .bind() rewrite", () => {
+    const messages = [
+      ...lint("setInterval(() => { a.start(); b.start(); });", {
+        multiStatement: true,
+      }),
+      {
+        ruleId: "other/rule",
+        suggestions: [{ messageId: "preferBindSuggestion", fix: edit(0, 1, "") }],
+      },
+    ];
+    expect(getCodemodEdits(messages)).toEqual([]);
+  });
+
+  it("detects overlapping edits", () => {
+    expect(hasOverlappingEdits([edit(0, 10, "a"), edit(10, 12, "b")])).toBe(false);
+    expect(hasOverlappingEdits([edit(0, 10, "a"), edit(5, 8, "b")])).toBe(true);
+  });
+
+  it("prints a unified diff with context lines", () => {
+    const lines = ["a", "b", "c", "d", "old()", "e", "f", "g", "h"];
+    const code = `${lines.join("\n")}\n`;
+    const start = code.indexOf("old");
+    expect(createUnifiedDiff("src/a.js", code, [edit(start, start + 3, "new")]))
+      .toBe(`--- a/src/a.js
++++ b/src/a.js
+@@ -2,7 +2,7 @@
+ b
+ c
+ d
+-old()
++new()
+ e
+ f
+ g
+`);
+  });
+
+  it("keeps line numbers of later hunks in step with added lines", () => {
+    const lines = ["x()", ...Array(10).fill("-"), "y()"];
+    const code = lines.join("\n");
+    const y = code.indexOf("y");
+    const diff = createUnifiedDiff("a.js", code, [
+      edit(0, 1, "first\nsecond"),
+      edit(y, y + 1, "z"),
+    ]);
+    expect(diff).toContain("@@ -1,4 +1,5 @@\n-x()\n+first\n+second()\n");
+    expect(diff).toContain("@@ -9,4 +10,4 @@\n -\n -\n -\n-y()\n+z()\n");
+  });
+});
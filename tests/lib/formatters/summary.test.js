@@ -0,0 +1,110 @@
+import { describe, expect, it } from "vitest";
+import { Linter } from "eslint";
+import plugin from "../../../lib/index.js";
+import formatJson from "../../../lib/formatters/summary-json.js";
+import formatMarkdown from "../../../lib/formatters/summary-markdown.js";
+
+const config = [
+  {
+    files: ["**/*.js"],
+    plugins: { "prefer-bind": plugin },
+    rules: {
+      "prefer-bind/prefer-bind": ["warn", { includeAsync: true }],
+      "prefer-bind/no-unremovable-listener": "warn",
+    },
+  },
+];
+
+/**
+ * Lint files the way the ESLint CLI would and build its results
+ */
+function lint(files) {
+  const linter = new Linter({ cwd: "/project" });
+  return Object.entries(files).map(([filePath, code]) => ({
+    filePath,
+    messages: linter.verify(code, config, filePath),
+  }));
+}
+
+describe("summary formatters", () => {
+  const results = lint({
+    "/project/src/view.js": `
+      setTimeout(() => this.update(), 100);
+      setTimeout(() => this.update(), 200);
+      setInterval(() => this.update(), 100);
+      emitter.on('data', async () => this.update());
+    `,
+    "/project/src/poller.js": `
+      setTimeout(() => getPoller().poll(), 100);
+    `,
+  });
+
+  it("aggregates findings by context, file and receiver", () => {
+    const summary = JSON.parse(formatJson(results, { cwd: "/project" }));
+    expect(summary.total).toBe(6);
+    expect(summary.files).toBe(2);
+    expect(summary.byRule).toEqual([
+      { name: "prefer-bind/prefer-bind", count: 5 },
+      { name: "prefer-bind/no-unremovable-listener", count: 1 },
+    ]);
+    expect(summary.byContext).toEqual([
+      { name: "setTimeout", count: 3 },
+      { name: "on", count: 1 },
+      { name: "setInterval", count: 1 },
+    ]);
+    expect(summary.byRisk).toEqual([
+      { name: "low", count: 3 },
+      { name: "high", count: 2 },
+    ]);
+    expect(summary.byFile).toEqual([
+      { name: "src/view.js", count: 5 },
+      { name: "src/poller.js", count: 1 },
+    ]);
+    expect(summary.byReceiver).toEqual([
+      { name: "this", count: 4 },
+      { name: "getPoller()", count: 1 },
+    ]);
+    expect(summary.hotspots[0]).toEqual({
+      name: "this.update via setTimeout",
+      count: 2,
+    });
+  });
+
+  it("counts async wrappers and fix safety", () => {
+    const summary = JSON.parse(formatJson(results, { cwd: "/project" }));
+    expect(summary.async).toBe(1);
+    expect(summary.fixSafety).toEqual({ safe: 3, review: 2, none: 1 });
+  });
+
+  it("falls back to the rule for findings that were not recorded", () => {
+    const summary = JSON.parse(
+      formatJson(
+        [
+          {
+            filePath: "/project/cached.js",
+            messages: [
+              {
+                ruleId: "prefer-bind/prefer-bind",
+                messageId: "preferBind",
+                line: 1,
+                column: 12,
+              },
+              { ruleId: "no-undef", line: 2, column: 1 },
+            ],
+          },
+        ],
+        { cwd: "/project" },
+      ),
+    );
+    expect(summary.total).toBe(1);
+    expect(summary.byRule).toEqual([{ name: "prefer-bind/prefer-bind", count: 1 }]);
+    expect(summary.byContext).toEqual([]);
+  });
+
+  it("prints Markdown tables", () => {
+    const markdown = formatMarkdown(results, { cwd: "/project" });
+    expect(markdown).toContain("6 findings in 2 files (1 async)");
+    expect(markdown).toContain("| `this.update via setTimeout` | 2 |");
+    expect(markdown).toContain("| `src/poller.js` | 1 |");
+  });
+});
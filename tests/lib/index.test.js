@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+import { Linter } from "eslint";
+import plugin from "../../lib/index.js";
+
+describe("configs", () => {
+  const linter = new Linter();
+
+  it("flat/recommended warns in long-lived contexts only", () => {
+    const messages = linter.verify(
+      "setTimeout(() => obj.method(), 1000); const fn = () => obj.method();",
+      [plugin.configs["flat/recommended"]],
+    );
+    expect(messages.map((message) => message.ruleId)).toEqual([
+      "prefer-bind/prefer-bind",
+    ]);
+  });
+
+  it("flat/strict warns everywhere, including async wrappers", () => {
+    const messages = linter.verify(
+      "const fn = () => obj.method(); const run = async () => obj.run();",
+      [plugin.configs["flat/strict"]],
+    );
+    expect(messages).toHaveLength(2);
+  });
+
+  it("flat/all enables every rule", () => {
+    expect(Object.keys(plugin.configs["flat/all"].rules)).toEqual(
+      Object.keys(plugin.rules).map((name) => `prefer-bind/${name}`),
+    );
+  });
+
+  it("legacy configs mirror the flat configs", () => {
+    for (const name of ["recommended", "strict", "all"]) {
+      const flat = plugin.configs[`flat/${name}`];
+      const legacy = plugin.configs[name];
+      expect(legacy.plugins).toEqual(["@kawaz/prefer-bind"]);
+      expect(Object.values(legacy.rules)).toEqual(Object.values(flat.rules));
+    }
+  });
+});
+
+describe("prefer-bind options", () => {
+  const linter = new Linter();
+  const verify = (options) =>
+    linter.verify("a.onX(() => o.m());", [
+      {
+        plugins: { "prefer-bind": plugin },
+        rules: { "prefer-bind/prefer-bind": ["warn", options] },
+      },
+    ]);
+
+  it("names the option of an invalid pattern", () => {
+    expect(() => verify({ longLivedContexts: ["/(/"] })).toThrow(
+      /Invalid pattern "\/\(\/" in longLivedContexts/,
+    );
+    expect(() => verify({ sinks: { properties: ["/[/"] } })).toThrow(
+      /Invalid pattern "\/\[\/" in sinks\.properties/,
+    );
+  });
+});
@@ -0,0 +1,146 @@
+import { RuleTester } from "eslint";
+import rule from "../../../lib/rules/no-closure-in-abort-signal.js";
+
+const ruleTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2022,
+    sourceType: "module",
+  },
+});
+
+ruleTester.run("no-closure-in-abort-signal", rule, {
+  valid: [
+    // Modern APIs
+    "const signal = AbortSignal.any([parent, controller.signal]);",
+    "const signal = AbortSignal.timeout(5000);",
+
+    // Abort listeners that go away by themselves
+    "signal.addEventListener('abort', onAbort, { once: true });",
+    "signal.addEventListener('abort', onAbort, { signal: other });",
+    "signal.addEventListener('abort', () => cleanup(), { once: true });",
+    "parent.addEventListener('abort', () => controller.abort(), { once: true, signal: controller.signal });",
+    "parent.addEventListener('abort', () => controller.abort(), { signal: controller.signal });",
+
+    // Explicit choices and options that cannot be inspected
+    "signal.addEventListener('abort', onAbort, { once: false });",
+    "signal.addEventListener('abort', onAbort, options);",
+    "signal.addEventListener('abort', onAbort, { ...options });",
+
+    // Not abort listeners
+    "el.addEventListener('click', () => controller.abort());",
+    "addEventListener('abort', onAbort);",
+
+    // Timers doing more than aborting
+    "setTimeout(() => { controller.abort(); log(); }, 1000);",
+    "setTimeout(() => controller?.abort(), 1000);",
+    "setTimeout(() => request.cancel(), 1000);",
+    // abort() bound to another object does not abort the controller
+    "setTimeout(controller.abort.bind(other), 1000);",
+    // AbortSignal.timeout() fires once
+    "setInterval(() => controller.abort(), 1000);",
+  ],
+
+  invalid: [
+    // Manual forwarding between a signal and a controller
+    {
+      code: "parent.addEventListener('abort', () => controller.abort());",
+      errors: [
+        {
+          messageId: "manualForwarding",
+          data: { signal: "parent", controller: "controller" },
+        },
+      ],
+    },
+    {
+      code: "parent.addEventListener('abort', () => controller.abort(parent.reason), { once: true });",
+      errors: [{ messageId: "manualForwarding" }],
+    },
+    {
+      code: "this.signal.addEventListener('abort', function () { this.controller.abort(); });",
+      errors: [
+        {
+          messageId: "manualForwarding",
+          data: { signal: "this.signal", controller: "this.controller" },
+        },
+      ],
+    },
+    {
+      code: "parent.addEventListener('abort', controller.abort.bind(controller));",
+      errors: [{ messageId: "manualForwarding" }],
+    },
+    {
+      code: "parent.addEventListener('abort', controller.abort.bind(other));",
+      errors: [{ messageId: "missingOnce", suggestions: 1 }],
+    },
+
+    // Aborting from a timer
+    {
+      code: "setTimeout(() => controller.abort(), 5000);",
+      errors: [
+        {
+          messageId: "timeoutAbort",
+          data: { controller: "controller", delay: "5000" },
+        },
+      ],
+    },
+    {
+      code: "setTimeout(controller.abort.bind(controller), ms);",
+      errors: [
+        {
+          messageId: "timeoutAbort",
+          data: { controller: "controller", delay: "ms" },
+        },
+      ],
+    },
+
+    // Abort listeners without `once`
+    {
+      code: "signal.addEventListener('abort', onAbort);",
+      errors: [
+        {
+          messageId: "missingOnce",
+          data: { signal: "signal" },
+          suggestions: [
+            {
+              messageId: "addOnceSuggestion",
+              output: "signal.addEventListener('abort', onAbort, { once: true });",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "signal.addEventListener('abort', () => this.cleanup(), {});",
+      errors: [
+        {
+          messageId: "missingOnce",
+          suggestions: [
+            {
+              messageId: "addOnceSuggestion",
+              output: "signal.addEventListener('abort', () => this.cleanup(), { once: true });",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "signal.addEventListener('abort', onAbort, { passive: true });",
+      errors: [
+        {
+          messageId: "missingOnce",
+          suggestions: [
+            {
+              messageId: "addOnceSuggestion",
+              output: "signal.addEventListener('abort', onAbort, { once: true, passive: true });",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // Legacy useCapture flag: no safe place for `once`
+      code: "signal.addEventListener(`abort`, onAbort, false);",
+      errors: [{ messageId: "missingOnce", suggestions: [] }],
+    },
+  ],
+});
@@ -0,0 +1,164 @@
+import { RuleTester } from "eslint";
+import rule from "../../../lib/rules/no-unremovable-listener.js";
+
+const ruleTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2022,
+    sourceType: "module",
+  },
+});
+
+ruleTester.run("no-unremovable-listener", rule, {
+  valid: [
+    // Same reference added and removed
+    `
+      function mount(el, onClick) {
+        el.addEventListener('click', onClick);
+        return () => el.removeEventListener('click', onClick);
+      }
+    `,
+    `
+      class View {
+        mount() {
+          this.el.addEventListener('click', this.onClick);
+        }
+        unmount() {
+          this.el.removeEventListener('click', this.onClick);
+        }
+      }
+    `,
+    `
+      emitter.on('data', handler);
+      emitter.off('data', handler);
+    `,
+    `
+      emitter.addListener('data', handler);
+      emitter.removeListener('data', handler);
+    `,
+
+    // Listeners that remove themselves
+    "el.addEventListener('click', () => obj.method(), { once: true })",
+    "el.addEventListener('click', () => obj.method(), { signal })",
+    "el.addEventListener('click', () => obj.method(), { signal: controller.signal })",
+
+    // Options that cannot be inspected statically
+    "el.addEventListener('click', handler, options)",
+    "el.addEventListener('click', handler, { ...options })",
+
+    // requireRemoval: false
+    {
+      code: "el.addEventListener('click', () => obj.method())",
+      options: [{ requireRemoval: false }],
+    },
+    {
+      code: "emitter.on('data', handler)",
+      options: [{ requireRemoval: false }],
+    },
+
+    // Not a listener registration
+    "emitter.once('data', handler)",
+    "obj.on('data')",
+  ],
+
+  invalid: [
+    // Removal with a new function can never match
+    {
+      code: `
+        el.addEventListener('click', onClick);
+        el.removeEventListener('click', () => onClick());
+      `,
+      errors: [
+        {
+          messageId: "neverMatches",
+          data: { method: "removeEventListener", kind: "function" },
+        },
+      ],
+    },
+
+    // Both calls create new functions
+    {
+      code: `
+        class View {
+          mount() {
+            this.el.addEventListener('click', this.onClick.bind(this));
+          }
+          unmount() {
+            this.el.removeEventListener('click', this.onClick.bind(this));
+          }
+        }
+      `,
+      errors: [
+        {
+          messageId: "identityMismatch",
+          data: {
+            event: "click",
+            kind: "bound function",
+            remove: "removeEventListener",
+          },
+        },
+        {
+          messageId: "neverMatches",
+          data: { method: "removeEventListener", kind: "bound function" },
+        },
+      ],
+    },
+
+    // Inline listener cannot be removed by a matching off() call
+    {
+      code: `
+        function attach(emitter, handler) {
+          emitter.on('data', (chunk) => handler(chunk));
+          return () => emitter.off('data', handler);
+        }
+      `,
+      errors: [
+        {
+          messageId: "identityMismatch",
+          data: { event: "data", kind: "function", remove: "off" },
+        },
+      ],
+    },
+
+    // Added without removal, once or signal
+    {
+      code: "signal.addEventListener('abort', () => controller.abort())",
+      errors: [{ messageId: "missingRemoval", data: { event: "abort" } }],
+    },
+    {
+      code: "el.addEventListener('click', handler, true)",
+      errors: [{ messageId: "missingRemoval", data: { event: "click" } }],
+    },
+    {
+      code: "el.addEventListener('click', handler, { once: false })",
+      errors: [{ messageId: "missingRemoval", data: { event: "click" } }],
+    },
+    {
+      code: "emitter.on('data', handler)",
+      errors: [
+        {
+          messageId: "missingOff",
+          data: { event: "data", method: "on", remove: "off" },
+        },
+      ],
+    },
+
+    // Removal on a different target or event does not count
+    {
+      code: `
+        a.addEventListener('click', handler);
+        b.removeEventListener('click', handler);
+        a.removeEventListener('keydown', handler);
+      `,
+      errors: [{ messageId: "missingRemoval", data: { event: "click" } }],
+    },
+
+    // Removal in another function does not count
+    {
+      code: `
+        function mount() { el.addEventListener('click', handler); }
+        function unmount() { el.removeEventListener('click', handler); }
+      `,
+      errors: [{ messageId: "missingRemoval", data: { event: "click" } }],
+    },
+  ],
+});
@@ -1,4 +1,6 @@
+import { fileURLToPath } from "node:url";
 import { RuleTester } from "eslint";
+import tsParser from "@typescript-eslint/parser";
 import rule from "../../../lib/rules/prefer-bind.js";
 
 const ruleTester = new RuleTester({
@@ -40,6 +42,311 @@ ruleTester.run("prefer-bind", rule, {
     "() => { obj.method(); }",
     "const fn = function() { obj.method(); }",
     "() => this.controller.abort()",
+
+    // Computed keys that may change
+    "setTimeout(() => handlers[key](), 100)",
+    "let key = 'a'; key = 'b'; setTimeout(() => handlers[key](), 100)",
+    "emitter.on('x', (type) => handlers[type]())",
+
+    // Arguments that cannot be bound early (outside timer)
+    "emitter.on('x', () => store.dispatch(action))",
+    "let action = a; action = b; emitter.on('x', () => store.dispatch(action))",
+    "emitter.on('x', () => store.dispatch(action)); const action = a;",
+    "const opts = {}; emitter.on('x', () => store.dispatch(opts.action))",
+    "const opts = Object.freeze({ a: {} }); emitter.on('x', () => store.dispatch(opts.a.b))",
+    "const args = []; emitter.on('x', () => store.dispatch(...args))",
+    "emitter.on('x', () => store.dispatch(/re/g))",
+    "emitter.on('x', () => store.dispatch(getAction()))",
+    "for (let i = 0; i < n; i++) emitter.on('x', () => store.dispatch(i))",
+
+    // Richer longLivedContexts matchers that do not match
+    {
+      code: "emitter.on('exit', () => obj.method())",
+      options: [{ longLivedContexts: [{ object: "process", method: "on" }] }],
+    },
+    {
+      code: "process.on(() => obj.method(), 'exit')",
+      options: [{ longLivedContexts: [{ object: "process", method: "on", argIndex: 1 }] }],
+    },
+    {
+      code: "$('x').on('click', () => obj.method())",
+      options: [{ longLivedContexts: [{ object: "*", method: "on" }] }],
+    },
+    {
+      code: "requestAnimationFrame(() => obj.method())",
+      options: [{ longLivedContexts: ["window.requestAnimationFrame"] }],
+    },
+    {
+      code: "element.onclick(() => obj.method())",
+      options: [{ longLivedContexts: ["/^on[A-Z]/"] }],
+    },
+    {
+      code: "useMemo(() => obj.method())",
+      options: [{ longLivedContexts: ["use*Effect"] }],
+    },
+
+    // Preset contexts are only added when enabled
+    "requestAnimationFrame(() => obj.method())",
+    "new MutationObserver(() => obj.method())",
+    {
+      code: "watch(() => obj.method(), onChange)",
+      options: [{ presets: ["vue"] }],
+    },
+    {
+      code: "useMemo(() => obj.method(), [])",
+      options: [{ presets: ["react"] }],
+    },
+
+    // Indirect and plain calls that cannot be passed on as they are
+    "setTimeout(() => handler(1), 100)",
+    "el.addEventListener('click', (e) => handler(e.target))",
+    "setTimeout(() => getHandler()(), 100)",
+    "setTimeout(() => a.b.c.call(obj), 100)",
+    "const fn = () => handler()",
+    // The wrapper reads the function on every call
+    "let handler = a; el.addEventListener('x', () => handler()); handler = b;",
+    "el.addEventListener('x', () => handler()); const handler = a;",
+
+    // multiStatement: only closures made of no-argument method calls
+    "function watch(a, b) { setInterval(() => { a.stop(); b.close(); }, 100); }",
+    {
+      code: "setInterval(() => { a.stop(); b.close(); }, 100);",
+      options: [{ multiStatement: true }],
+    },
+    {
+      code: "function watch(a) { setInterval(() => { a.stop(1); a.close(); }, 100); }",
+      options: [{ multiStatement: true }],
+    },
+    {
+      code: "function watch(a) { setInterval(() => { a.stop(); log('x'); }, 100); }",
+      options: [{ multiStatement: true }],
+    },
+    {
+      code: "function watch(a) { setInterval(function () { this.stop(); a.close(); }, 100); }",
+      options: [{ multiStatement: true }],
+    },
+    {
+      code: "function watch(a, b) { const fn = () => { a.stop(); b.close(); }; }",
+      options: [{ multiStatement: true }],
+    },
+    {
+      code: "function watch(a, b) { setInterval(() => { a.stop(); b.close(); }, 100); }",
+      options: [{ multiStatement: true, scopeAnalysis: true }],
+    },
+    {
+      code: "function watch(a, b) { setInterval(() => { a[keys.stop](); b.close(); }, 100); }",
+      options: [{ multiStatement: true }],
+    },
+    {
+      // A function expression's own name has a scope, still at module level
+      code: "el.on('x', function h() { a.x(); b.y(); });",
+      options: [{ multiStatement: true }],
+    },
+    {
+      // Receivers the factory call would read too early
+      code: "function f() { el.on('x', () => { a.x(); b.y(); }); const a = mk(); }",
+      options: [{ multiStatement: true }],
+    },
+    {
+      code: "function f(b) { let a = mk(); el.on('x', () => { a.x(); b.y(); }); a = other; }",
+      options: [{ multiStatement: true }],
+    },
+    {
+      code: "function f(a, b) { el.on('x', () => { a.x(); b.y(); }); b = other; }",
+      options: [{ multiStatement: true }],
+    },
+    {
+      code: "function f(a, b) { el.on('x', () => { a[k](); b.y(); }); const k = 'x'; }",
+      options: [{ multiStatement: true }],
+    },
+
+    // No equivalent .bind() rewrite
+    "setTimeout(function* () { obj.method(); }, 1)",
+    "setTimeout(() => new Foo().start(), 1)",
+    "setTimeout(() => new Foo(opts).worker.start(), 1)",
+    "setTimeout(() => tag`x`.run(), 1)",
+    "const o = { get timer() { return make(); } }; setTimeout(() => o.timer.stop(), 1)",
+    "class A { get timer() { return make(); } start() { setTimeout(() => this.timer.stop(), 1); } }",
+    "class A { get #timer() { return make(); } start() { setTimeout(() => this.#timer.stop(), 1); } }",
+    "class A { static get current() { return make(); } } setTimeout(() => A.current.stop(), 1)",
+    "const o = { get stop() { return make(); } }; setTimeout(() => o.stop(), 1)",
+    "setTimeout(function () { this.stop(); }, 1)",
+    "el.addEventListener('click', function () { this.classList.toggle('open'); })",
+    "setTimeout(function () { logger.log(this); }, 1)",
+    "setTimeout(function tick() { logger.log(arguments.length); }, 1)",
+    "function F() { setTimeout(function () { logger.log(new.target); }, 1); }",
+    {
+      code: "setTimeout(async () => logger.log(await read()), 1)",
+      options: [{ includeAsync: true }],
+    },
+    {
+      code: "class A { #a() {} #b() {} start() { setTimeout(() => { this.#a(); this.#b(); }, 1); } }",
+      options: [{ multiStatement: true }],
+    },
+
+    // baseline: known findings are not reported
+    {
+      code: "setTimeout(() => this.update(), 100)",
+      filename: "src/view.js",
+      options: [{ baseline: "tests/fixtures/baseline.json" }],
+    },
+
+    // targetRuntime: V8 only reports callbacks retained until removed
+    {
+      code: "setTimeout(() => this.update(), 100)",
+      options: [{ targetRuntime: "v8" }],
+    },
+    {
+      code: "emitter.once('ready', () => app.start())",
+      options: [{ targetRuntime: "v8" }],
+    },
+    {
+      code: "arr.forEach(() => obj.method())",
+      filename: "tests/fixtures/bun-project/src/app.js",
+      options: [{ targetRuntime: "both" }],
+    },
+    {
+      code: "arr.forEach(() => obj.method())",
+      filename: "tests/fixtures/bun-project/src/app.js",
+      options: [{ onlyInLongLivedContexts: true }],
+    },
+
+    // frameworks: cleanups are long-lived only when returned to an effect
+    "function Clock() { useEffect(() => { return () => sub.unsubscribe(); }); }",
+    {
+      code: "function Clock() { useMemo(() => { return () => sub.unsubscribe(); }); }",
+      options: [{ frameworks: ["react"] }],
+    },
+    {
+      code: "function Clock() { const stop = () => { return () => sub.unsubscribe(); }; }",
+      options: [{ frameworks: ["react"] }],
+    },
+    // frameworks: no .bind() in render bodies unless it can move out of them
+    {
+      code: "function Counter({ store }) { useSyncExternalStore((cb) => store.subscribe(cb), snap); }",
+      options: [{ frameworks: ["react"] }],
+    },
+    {
+      code: "const useTimer = (timer) => useSyncExternalStore((cb) => timer.on(cb), snap);",
+      options: [{ frameworks: ["react"] }],
+    },
+    {
+      code: "function Counter() { const store = useStore(); useSyncExternalStore((cb) => store.subscribe(cb), snap); }",
+      options: [{ frameworks: ["react"] }],
+    },
+    {
+      code: "function Counter() { useSyncExternalStore((cb) => store.subscribe(cb), snap); }\nconst store = createStore();",
+      options: [{ frameworks: ["react"] }],
+    },
+    {
+      code: "function Counter({ a, b }) { useSyncExternalStore(() => { a.stop(); b.close(); }, snap); }",
+      options: [{ frameworks: ["react"], multiStatement: true }],
+    },
+
+    // Per-context settings and minimumRisk
+    {
+      code: "setTimeout(() => obj.method(), 100)",
+      options: [{ longLivedContexts: [{ method: "setTimeout", ignore: true }] }],
+    },
+    {
+      code: "const action = 1; emitter.on('x', () => store.dispatch(action))",
+      options: [{ longLivedContexts: [{ method: "on", allowArgs: false }] }],
+    },
+    {
+      code: "emitter.on('x', async () => obj.run())",
+      options: [
+        {
+          includeAsync: true,
+          longLivedContexts: [{ method: "on", allowAsync: false }],
+        },
+      ],
+    },
+    {
+      code: "setTimeout(() => obj.method(), 100); once('x', () => obj.method())",
+      options: [{ minimumRisk: "medium" }],
+    },
+    {
+      code: "const fn = () => obj.method()",
+      options: [{ onlyInLongLivedContexts: false, minimumRisk: "medium" }],
+    },
+
+    // Sinks are only checked when configured
+    "el.onclick = () => obj.method()",
+    "this.handlers.push(() => obj.method())",
+    "module.exports.cb = () => obj.method()",
+    "subscribe({ next: () => obj.method() })",
+    {
+      code: "el.handler = () => obj.method()",
+      options: [{ sinks: { properties: ["/^on[a-z]/"] } }],
+    },
+    {
+      code: "el.onclick += () => obj.method()",
+      options: [{ sinks: { properties: ["/^on[a-z]/"] } }],
+    },
+    {
+      code: "list.map(() => obj.method())",
+      options: [{ sinks: { collections: ["push", "set", "add"] } }],
+    },
+    {
+      code: "format({ render: () => obj.method() })",
+      options: [{ sinks: { optionObjects: true } }],
+    },
+
+    // inferRegistrars: only functions that keep the callback count
+    `
+      function listen(target, type, cb) { target.addEventListener(type, cb); }
+      listen(window, 'resize', () => this.layout());
+    `,
+    {
+      code: `
+        function collect(cb) { const list = []; list.push(cb); return list; }
+        collect(() => obj.method());
+      `,
+      options: [{ inferRegistrars: true }],
+    },
+    {
+      code: `
+        function listen(target, type, cb) { target.addEventListener(type, cb); }
+        listen(() => this.layout(), 'resize', window);
+      `,
+      options: [{ inferRegistrars: true }],
+    },
+
+    // Parameters that are not forwarded unchanged
+    "el.addEventListener('click', (e) => this.onClick())",
+    "el.addEventListener('click', (e, extra) => this.onClick(e))",
+    "el.addEventListener('click', (a, b) => this.onClick(b, a))",
+    "el.addEventListener('click', (e) => this.onClick(e.target))",
+    "el.addEventListener('click', (e) => this.onClick(e, 1))",
+    "el.addEventListener('click', (e) => this.onClick(e, e))",
+    "el.addEventListener('click', (e) => e.target.focus(e))",
+    "el.addEventListener('click', (...args) => this.onClick(...args))",
+    "el.addEventListener('click', (e = {}) => this.onClick(e))",
+    "el.addEventListener('click', ({ target }) => this.onClick(target))",
+
+    // scopeAnalysis: nothing retained beyond what .bind() keeps
+    {
+      code: "setTimeout(() => obj.method(), 1000)",
+      options: [{ scopeAnalysis: true }],
+    },
+    {
+      code: `
+        function watch(signal, controller) {
+          signal.addEventListener('abort', () => controller.abort());
+        }
+      `,
+      options: [{ scopeAnalysis: true }],
+    },
+    {
+      code: `
+        class Poller {
+          start() {
+            setInterval(() => this.tick(), 100);
+          }
+        }
+      `,
+      options: [{ scopeAnalysis: true }],
+    },
   ],
 
   invalid: [
@@ -196,107 +503,149 @@ ruleTester.run("prefer-bind", rule, {
       ],
     },
 
-    // Block-body in long-lived context
+    // Arguments that can be bound early, in any long-lived context
     {
-      code: "setTimeout(() => { obj.method(); }, 1000)",
+      code: "const action = { type: 'x' }; emitter.on('x', () => store.dispatch(action))",
       errors: [
         {
           messageId: "preferBind",
+          data: {
+            riskLabel: "[high] ",
+            replacement: "store.dispatch.bind(store, action)",
+          },
           suggestions: [
             {
               messageId: "preferBindSuggestion",
-              output: "setTimeout(obj.method.bind(obj), 1000)",
+              output:
+                "const action = { type: 'x' }; emitter.on('x', store.dispatch.bind(store, action))",
             },
           ],
         },
       ],
     },
-
-    // Function expression in long-lived context
     {
-      code: "setTimeout(function() { obj.method(); }, 1000)",
+      code: "emitter.on('x', () => logger.log('done', 42, -1, `tag`, undefined))",
       errors: [
         {
           messageId: "preferBind",
           suggestions: [
             {
               messageId: "preferBindSuggestion",
-              output: "setTimeout(obj.method.bind(obj), 1000)",
+              output:
+                "emitter.on('x', logger.log.bind(logger, 'done', 42, -1, `tag`, undefined))",
             },
           ],
         },
       ],
     },
-
-    // Chained member expressions in long-lived context
     {
-      code: "setTimeout(() => this.controller.abort(), 1000)",
+      code: "let level = 1; el.addEventListener('click', function() { ui.zoom(level); })",
       errors: [
         {
           messageId: "preferBind",
           suggestions: [
             {
               messageId: "preferBindSuggestion",
-              output: "setTimeout(this.controller.abort.bind(this.controller), 1000)",
+              output:
+                "let level = 1; el.addEventListener('click', ui.zoom.bind(ui, level))",
             },
           ],
         },
       ],
     },
-
-    // Custom longLivedContexts
     {
-      code: "myCustomHandler(() => obj.method())",
-      options: [{ longLivedContexts: ["myCustomHandler"] }],
+      code: "const Types = Object.freeze({ TICK: 1 }); emitter.on('x', () => store.dispatch(Types.TICK))",
       errors: [
         {
           messageId: "preferBind",
           suggestions: [
             {
               messageId: "preferBindSuggestion",
-              output: "myCustomHandler(obj.method.bind(obj))",
+              output:
+                "const Types = Object.freeze({ TICK: 1 }); emitter.on('x', store.dispatch.bind(store, Types.TICK))",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "for (const item of items) emitter.on('x', () => store.add(item))",
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output:
+                "for (const item of items) emitter.on('x', store.add.bind(store, item))",
             },
           ],
         },
       ],
     },
 
-    // onlyInLongLivedContexts: false - warns everywhere
+    // Parameters forwarded unchanged and in order
     {
-      code: "() => obj.method()",
-      options: [{ onlyInLongLivedContexts: false }],
+      code: "el.addEventListener('click', (e) => this.onClick(e))",
       errors: [
         {
           messageId: "preferBind",
+          data: { riskLabel: "[high] ", replacement: "this.onClick.bind(this)" },
           suggestions: [
             {
               messageId: "preferBindSuggestion",
-              output: "obj.method.bind(obj)",
+              output: "el.addEventListener('click', this.onClick.bind(this))",
             },
           ],
         },
       ],
     },
     {
-      code: "const fn = function() { obj.method(); }",
-      options: [{ onlyInLongLivedContexts: false }],
+      code: "emitter.on('change', function(key, value) { store.set(key, value); })",
       errors: [
         {
           messageId: "preferBind",
           suggestions: [
             {
               messageId: "preferBindSuggestion",
-              output: "const fn = obj.method.bind(obj)",
+              output: "emitter.on('change', store.set.bind(store))",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "emitter.on('message', (msg) => logger.log('received', msg))",
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "emitter.on('message', logger.log.bind(logger, 'received'))",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "setTimeout((value) => obj.method(value), 1000, data)",
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "setTimeout(obj.method.bind(obj), 1000, data)",
             },
           ],
         },
       ],
     },
 
-    // includeAsync option - in long-lived context
+    // Block-body in long-lived context
     {
-      code: "setTimeout(async () => obj.method(), 1000)",
-      options: [{ includeAsync: true }],
+      code: "setTimeout(() => { obj.method(); }, 1000)",
       errors: [
         {
           messageId: "preferBind",
@@ -309,9 +658,10 @@ ruleTester.run("prefer-bind", rule, {
         },
       ],
     },
+
+    // Function expression in long-lived context
     {
-      code: "setTimeout(async () => await obj.method(), 1000)",
-      options: [{ includeAsync: true }],
+      code: "setTimeout(function() { obj.method(); }, 1000)",
       errors: [
         {
           messageId: "preferBind",
@@ -324,61 +674,1893 @@ ruleTester.run("prefer-bind", rule, {
         },
       ],
     },
+
+    // Chained member expressions in long-lived context
     {
-      code: "setTimeout(async () => { obj.method(); }, 1000)",
-      options: [{ includeAsync: true }],
+      code: "setTimeout(() => this.controller.abort(), 1000)",
       errors: [
         {
           messageId: "preferBind",
           suggestions: [
             {
               messageId: "preferBindSuggestion",
-              output: "setTimeout(obj.method.bind(obj), 1000)",
+              output: "setTimeout(this.controller.abort.bind(this.controller), 1000)",
             },
           ],
         },
       ],
     },
+
+    // Custom longLivedContexts
     {
-      code: "setTimeout(async () => { await obj.method(); }, 1000)",
-      options: [{ includeAsync: true }],
+      code: "myCustomHandler(() => obj.method())",
+      options: [{ longLivedContexts: ["myCustomHandler"] }],
       errors: [
         {
           messageId: "preferBind",
           suggestions: [
             {
               messageId: "preferBindSuggestion",
-              output: "setTimeout(obj.method.bind(obj), 1000)",
+              output: "myCustomHandler(obj.method.bind(obj))",
             },
           ],
         },
       ],
     },
+
+    // Richer longLivedContexts matchers: receiver, argument position, regex, glob, path
     {
-      code: "setTimeout(async function() { obj.method(); }, 1000)",
-      options: [{ includeAsync: true }],
+      code: "process.on('exit', () => obj.method())",
+      options: [{ longLivedContexts: [{ object: "process", method: "on", argIndex: 1 }] }],
       errors: [
         {
           messageId: "preferBind",
           suggestions: [
             {
               messageId: "preferBindSuggestion",
-              output: "setTimeout(obj.method.bind(obj), 1000)",
+              output: "process.on('exit', obj.method.bind(obj))",
             },
           ],
         },
       ],
     },
     {
-      code: "setTimeout(async function() { await obj.method(); }, 1000)",
-      options: [{ includeAsync: true }],
+      code: "this.bus.on('x', () => obj.method())",
+      options: [{ longLivedContexts: [{ object: "this.*", method: "on" }] }],
       errors: [
         {
           messageId: "preferBind",
           suggestions: [
             {
               messageId: "preferBindSuggestion",
-              output: "setTimeout(obj.method.bind(obj), 1000)",
+              output: "this.bus.on('x', obj.method.bind(obj))",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: 'window.requestAnimationFrame(() => obj.method())',
+      options: [{ longLivedContexts: ["window.requestAnimationFrame"] }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: 'window.requestAnimationFrame(obj.method.bind(obj))',
+            },
+          ],
+        },
+      ],
+    },
+    // g and y flags do not make matching stateful
+    {
+      code: "a.onX(() => o.m());",
+      options: [{ longLivedContexts: ["/^on/g"] }],
+      errors: [
+        {
+          message:
+            "[medium] Prefer 'o.m.bind(o)' over closure wrapper to avoid capturing surrounding scope.",
+          suggestions: 1,
+        },
+      ],
+    },
+    {
+      code: 'el.onMessage(() => obj.method())',
+      options: [{ longLivedContexts: ["/^on[A-Z]/"] }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: 'el.onMessage(obj.method.bind(obj))',
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: 'useLayoutEffect(() => obj.method())',
+      options: [{ longLivedContexts: ["use*Effect"] }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: 'useLayoutEffect(obj.method.bind(obj))',
+            },
+          ],
+        },
+      ],
+    },
+
+    // Computed keys that are literals or stable bindings
+    {
+      code: "const key = 'close'; setTimeout(() => handlers[key](), 100)",
+      errors: [
+        {
+          messageId: "preferBind",
+          data: { riskLabel: "[low] ", replacement: "handlers[key].bind(handlers)" },
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "const key = 'close'; setTimeout(handlers[key].bind(handlers), 100)",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "emitter.on('x', () => this.handlers['close']())",
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "emitter.on('x', this.handlers['close'].bind(this.handlers))",
+            },
+          ],
+        },
+      ],
+    },
+
+    // Optional chaining has no safe rewrite
+    {
+      code: "el.addEventListener('click', () => obj?.close())",
+      errors: [
+        {
+          messageId: "noSafeRewriteOptional",
+          data: { riskLabel: "[high] ", call: "obj?.close()" },
+          suggestions: [],
+        },
+      ],
+    },
+    {
+      code: "setTimeout(() => { this.socket.close?.(); }, 100)",
+      errors: [{ messageId: "noSafeRewriteOptional", suggestions: [] }],
+    },
+
+    // Receivers that may have side effects are not duplicated
+    // and are hoisted into a const before the statement instead
+    {
+      code: "setInterval(() => a.b.c.run(), 100)",
+      errors: [
+        {
+          messageId: "impureReceiver",
+          data: { riskLabel: "[high] ", receiver: "a.b.c" },
+          suggestions: [
+            {
+              messageId: "hoistReceiverSuggestion",
+              data: { receiver: "a.b.c", name: "c" },
+              output: "const c = a.b.c;\nsetInterval(c.run.bind(c), 100)",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+        function start(service) {
+          if (ready) {
+            emitter.on('stop', () => getService().stop());
+          }
+        }
+      `,
+      errors: [
+        {
+          messageId: "impureReceiver",
+          data: { riskLabel: "[high] ", receiver: "getService()" },
+          suggestions: [
+            {
+              messageId: "hoistReceiverSuggestion",
+              data: { receiver: "getService()", name: "service2" },
+              output: `
+        function start(service) {
+          if (ready) {
+            const service2 = getService();
+            emitter.on('stop', service2.stop.bind(service2));
+          }
+        }
+      `,
+            },
+          ],
+        },
+      ],
+    },
+
+    // No place to hoist the receiver to
+    {
+      code: "items.forEach((item) => setTimeout(() => item.get().stop(), 100))",
+      errors: [{ messageId: "impureReceiver", suggestions: [] }],
+    },
+    {
+      code: "if (ready) setTimeout(() => getService().stop(), 100)",
+      errors: [{ messageId: "impureReceiver", suggestions: [] }],
+    },
+    {
+      code: "const a = make(), b = setTimeout(() => a.get().stop(), 100)",
+      errors: [{ messageId: "impureReceiver", suggestions: [] }],
+    },
+
+    // autofix: applied only when the rewrite is proven equivalent
+    {
+      code: "const controller = new AbortController(); setTimeout(() => controller.abort(), 100)",
+      options: [{ autofix: true }],
+      output:
+        "const controller = new AbortController(); setTimeout(controller.abort.bind(controller), 100)",
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output:
+                "const controller = new AbortController(); setTimeout(controller.abort.bind(controller), 100)",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "const controller = new AbortController(); signal.addEventListener('abort', () => controller.abort())",
+      options: [{ autofix: true }],
+      output: null,
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output:
+                "const controller = new AbortController(); signal.addEventListener('abort', controller.abort.bind(controller))",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "class A { start() { setInterval(() => this.tick(), 100); } }",
+      options: [{ autofix: true }],
+      output: "class A { start() { setInterval(this.tick.bind(this), 100); } }",
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "class A { start() { setInterval(this.tick.bind(this), 100); } }",
+            },
+          ],
+        },
+      ],
+    },
+    ...[
+      // Receiver may be reassigned
+      ["let timer = a; timer = b; setTimeout(() => timer.stop(), 1)", "let timer = a; timer = b; setTimeout(timer.stop.bind(timer), 1)"],
+      ["setTimeout(() => this.timer.stop(), 1)", "setTimeout(this.timer.stop.bind(this.timer), 1)"],
+      // Arguments and parameters
+      ["const t = a; setTimeout(() => t.stop(1), 1)", "const t = a; setTimeout(t.stop.bind(t), 1, 1)"],
+      ["const t = a; emitter.on('x', (e) => t.stop(e))", "const t = a; emitter.on('x', t.stop.bind(t))"],
+      // Callbacks called with arguments, which the bound method would receive
+      ["const t = a; emitter.on('x', () => t.stop())", "const t = a; emitter.on('x', t.stop.bind(t))"],
+      ["const t = a; setTimeout(() => t.stop(), 1, 'x')", "const t = a; setTimeout(t.stop.bind(t), 1, 'x')"],
+      // Methods replaced after registration, which .bind() would read too early
+      ["const obj = {}; setTimeout(() => obj.method(), 10); obj.method = () => 1;", "const obj = {}; setTimeout(obj.method.bind(obj), 10); obj.method = () => 1;"],
+      ["const t = a; setTimeout(() => t.stop(), 1); vi.spyOn(t, 'stop');", "const t = a; setTimeout(t.stop.bind(t), 1); vi.spyOn(t, 'stop');"],
+      ["const t = a; setTimeout(() => t.stop(), 1); Object.assign(t, { stop });", "const t = a; setTimeout(t.stop.bind(t), 1); Object.assign(t, { stop });"],
+      ["class A { start() { setInterval(() => this.tick(), 1); this.tick = f; } }", "class A { start() { setInterval(this.tick.bind(this), 1); this.tick = f; } }"],
+    ].map(([code, output]) => ({
+      code,
+      options: [{ autofix: true }],
+      output: null,
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [{ messageId: "preferBindSuggestion", output }],
+        },
+      ],
+    })),
+    {
+      code: "const t = a; setTimeout(async () => t.stop(), 1)",
+      options: [{ autofix: true, includeAsync: true }],
+      output: null,
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "const t = a; setTimeout(t.stop.bind(t), 1)",
+            },
+          ],
+        },
+      ],
+    },
+
+    // Presets, combinable with the user's own list
+    {
+      code: 'requestAnimationFrame(() => obj.method())',
+      options: [{ presets: ["dom"] }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: 'requestAnimationFrame(obj.method.bind(obj))',
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: 'new MutationObserver(() => obj.method())',
+      options: [{ presets: ["dom"] }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: 'new MutationObserver(obj.method.bind(obj))',
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: 'process.nextTick(() => obj.method())',
+      options: [{ presets: ["node"] }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: 'process.nextTick(obj.method.bind(obj))',
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: 'useEffect(() => obj.method(), [])',
+      options: [{ presets: ["react"] }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: 'useEffect(obj.method.bind(obj), [])',
+            },
+          ],
+        },
+      ],
+    },
+    // The react preset covers returned cleanups, like frameworks: ["react"]
+    {
+      code: "useEffect(() => { const s = src.subscribe(); return () => s.unsubscribe(); }, [])",
+      options: [{ presets: ["react"] }],
+      errors: [
+        {
+          messageId: "preferBind",
+          data: {
+            riskLabel: "[medium] ",
+            replacement: "s.unsubscribe.bind(s)",
+          },
+          suggestions: 1,
+        },
+      ],
+    },
+    {
+      code: 'source$.pipe(tap(() => obj.method()))',
+      options: [{ presets: ["rxjs"] }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: 'source$.pipe(tap(obj.method.bind(obj)))',
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: 'watch(source, () => obj.method())',
+      options: [{ presets: ["vue"] }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: 'watch(source, obj.method.bind(obj))',
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: 'queueMicrotask(() => obj.method())',
+      options: [{ presets: ["bun"] }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: 'queueMicrotask(obj.method.bind(obj))',
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: 'onMounted(() => obj.method())',
+      options: [{ presets: ["dom", "vue"], longLivedContexts: ["myRegister"] }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: 'onMounted(obj.method.bind(obj))',
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: 'myRegister(() => obj.method())',
+      options: [{ presets: ["dom", "vue"], longLivedContexts: ["myRegister"] }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: 'myRegister(obj.method.bind(obj))',
+            },
+          ],
+        },
+      ],
+    },
+
+    // .call(), .apply(), Reflect.apply() and .bind()() are bound directly
+    {
+      code: "setTimeout(() => fn.call(obj), 100)",
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "setTimeout(fn.bind(obj), 100)",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "const a = 1; emitter.on('x', () => fn.call(obj, a))",
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "const a = 1; emitter.on('x', fn.bind(obj, a))",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "setTimeout(() => this.update.call(this), 100)",
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "setTimeout(this.update.bind(this), 100)",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "setTimeout(() => obj.method.apply(obj, []), 100)",
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "setTimeout(obj.method.bind(obj), 100)",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "const a = 1; emitter.on('x', () => obj.method.apply(obj, [a]))",
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "const a = 1; emitter.on('x', obj.method.bind(obj, a))",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "setTimeout(() => Reflect.apply(obj.method, obj, []), 100)",
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "setTimeout(obj.method.bind(obj), 100)",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "setTimeout(() => obj.method.bind(obj)(), 100)",
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "setTimeout(obj.method.bind(obj), 100)",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "emitter.on('x', (e) => fn.call(obj, e))",
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "emitter.on('x', fn.bind(obj))",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "const t = a; bus.register(() => t.stop())",
+      options: [
+        {
+          autofix: true,
+          longLivedContexts: [{ method: "register", callsWithoutArguments: true }],
+        },
+      ],
+      output: "const t = a; bus.register(t.stop.bind(t))",
+      errors: [{ messageId: "preferBind", suggestions: 1 }],
+    },
+    {
+      code: "const fn = f; const obj = o; setTimeout(() => fn.call(obj), 100)",
+      options: [{ autofix: true }],
+      output: "const fn = f; const obj = o; setTimeout(fn.bind(obj), 100)",
+      errors: [{ messageId: "preferBind", suggestions: 1 }],
+    },
+
+    // Plain function calls: pass the function directly
+    {
+      code: "setTimeout(() => handler(), 100)",
+      errors: [
+        {
+          messageId: "preferPlainReference",
+          suggestions: [
+            {
+              messageId: "preferPlainReferenceSuggestion",
+              output: "setTimeout(handler, 100)",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "el.addEventListener('click', (e) => onClick(e))",
+      errors: [
+        {
+          messageId: "preferPlainReference",
+          suggestions: [
+            {
+              messageId: "preferPlainReferenceSuggestion",
+              output: "el.addEventListener('click', onClick)",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "function tick() {}\nsetInterval(() => tick(), 100);",
+      errors: [
+        {
+          messageId: "preferPlainReference",
+          suggestions: [
+            {
+              messageId: "preferPlainReferenceSuggestion",
+              output: "function tick() {}\nsetInterval(tick, 100);",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "emitter.on('x', function (a, b) { handler(a, b); })",
+      errors: [
+        {
+          messageId: "preferPlainReference",
+          suggestions: [
+            {
+              messageId: "preferPlainReferenceSuggestion",
+              output: "emitter.on('x', handler)",
+            },
+          ],
+        },
+      ],
+    },
+
+    // multiStatement: a module-level factory retains only the receivers
+    {
+      code: `function f() { const k = "a"; setInterval(() => { a[k](); b.close(); }, 1); }`,
+      options: [{ multiStatement: true }],
+      errors: [
+        {
+          messageId: "preferFactory",
+          suggestions: [
+            {
+              messageId: "preferFactorySuggestion",
+              output: `function createKCallback(a, b, k) {
+  return () => {
+    a[k]();
+    b.close();
+  };
+}
+
+function f() { const k = "a"; setInterval(createKCallback(a, b, k), 1); }`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+function watch(signal, a, b) {
+  const buffer = new ArrayBuffer(1e8);
+  signal.addEventListener('abort', () => { a.stop(); b.close(); });
+  return () => buffer;
+}
+`,
+      options: [{ multiStatement: true, scopeAnalysis: true }],
+      errors: [
+        {
+          messageId: "preferFactory",
+          data: { riskLabel: "[high] ", receivers: "'a', 'b'" },
+          suggestions: [
+            {
+              messageId: "preferFactorySuggestion",
+              data: { name: "createStopCallback" },
+              output: `
+function createStopCallback(a, b) {
+  return () => {
+    a.stop();
+    b.close();
+  };
+}
+
+function watch(signal, a, b) {
+  const buffer = new ArrayBuffer(1e8);
+  signal.addEventListener('abort', createStopCallback(a, b));
+  return () => buffer;
+}
+`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+class Poller {
+  start() {
+    setInterval(() => {
+      this.tick();
+      this.flush();
+      this.tick();
+    }, 100);
+  }
+}
+`,
+      options: [{ multiStatement: true }],
+      errors: [
+        {
+          messageId: "preferFactory",
+          data: { riskLabel: "[high] ", receivers: "'this'" },
+          suggestions: [
+            {
+              messageId: "preferFactorySuggestion",
+              output: `
+function createTickCallback(self) {
+  return () => {
+    self.tick();
+    self.flush();
+    self.tick();
+  };
+}
+
+class Poller {
+  start() {
+    setInterval(createTickCallback(this), 100);
+  }
+}
+`,
+            },
+          ],
+        },
+      ],
+    },
+
+    // super, private names and import.meta are rewritten in place
+    {
+      code: "class B extends A { start() { setInterval(() => super.tick(), 100); } }",
+      options: [{ autofix: true }],
+      output: "class B extends A { start() { setInterval(super.tick.bind(this), 100); } }",
+      errors: [{ messageId: "preferBind", suggestions: 1 }],
+    },
+    {
+      code: "class B extends A { start() { setInterval(() => super['tick'](), 100); } }",
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "class B extends A { start() { setInterval(super['tick'].bind(this), 100); } }",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "class A { #tick() {} start() { setInterval(() => this.#tick(), 100); } }",
+      options: [{ groupClassBindings: true }],
+      errors: [
+        {
+          messageId: "preferBind",
+          data: { riskLabel: "[high] ", replacement: "this.#tick.bind(this)" },
+          suggestions: 1,
+        },
+      ],
+    },
+    {
+      code: "class A { #timer; stop() { setTimeout(() => this.#timer.stop(), 1); } }",
+      errors: [
+        {
+          messageId: "preferBind",
+          data: { riskLabel: "[low] ", replacement: "this.#timer.stop.bind(this.#timer)" },
+          suggestions: 1,
+        },
+      ],
+    },
+    {
+      code: "setTimeout(() => import.meta.hot.accept(), 1)",
+      errors: [
+        {
+          messageId: "preferBind",
+          data: {
+            riskLabel: "[low] ",
+            replacement: "import.meta.hot.accept.bind(import.meta.hot)",
+          },
+          suggestions: 1,
+        },
+      ],
+    },
+    {
+      // Getters elsewhere in the file do not matter
+      code: "class A { get timer() {} } const o = { timer }; setTimeout(() => o.timer.stop(), 1)",
+      errors: [{ messageId: "preferBind", suggestions: 1 }],
+    },
+    {
+      // `arguments` of an arrow function is the enclosing function's
+      code: "function start() { setTimeout(() => logger.log(arguments), 1); }",
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "function start() { setTimeout(logger.log.bind(logger), 1, arguments); }",
+            },
+          ],
+        },
+      ],
+    },
+
+    // baseline: findings beyond the baselined count, or elsewhere, are new
+    {
+      code: "setTimeout(() => this.update(), 100);\nsetTimeout(() => this.update(), 200);\nsetTimeout(() => this.render(), 100);",
+      filename: "src/view.js",
+      options: [{ baseline: "tests/fixtures/baseline.json" }],
+      errors: [
+        { messageId: "preferBind", line: 2, suggestions: 1 },
+        { messageId: "preferBind", line: 3, suggestions: 1 },
+      ],
+    },
+    {
+      code: "setTimeout(() => this.update(), 100)",
+      filename: "src/other.js",
+      options: [{ baseline: "tests/fixtures/baseline.json" }],
+      errors: [{ messageId: "preferBind", suggestions: 1 }],
+    },
+    {
+      code: "setTimeout(() => this.update(), 100)",
+      filename: "src/view.js",
+      options: [{ baseline: "tests/fixtures/missing-baseline.json" }],
+      errors: [{ messageId: "preferBind", suggestions: 1 }],
+    },
+
+    // targetRuntime: JSC reports wrappers everywhere, V8 only retained listeners
+    {
+      code: "arr.forEach(() => obj.method())",
+      options: [{ targetRuntime: "jsc" }],
+      errors: [
+        {
+          message:
+            "On JSC (Bun, Safari), a closure keeps alive what any function in its scope reads. Prefer 'obj.method.bind(obj)' over closure wrapper to avoid capturing surrounding scope.",
+          suggestions: 1,
+        },
+      ],
+    },
+    {
+      code: "window.addEventListener('resize', () => view.layout())",
+      options: [{ targetRuntime: "v8" }],
+      errors: [
+        {
+          message:
+            "[high] On V8, a closure keeps alive what any function in its scope reads until this callback is removed. Prefer 'view.layout.bind(view)' over closure wrapper to avoid capturing surrounding scope.",
+          suggestions: 1,
+        },
+      ],
+    },
+    {
+      code: "setTimeout(() => this.update(), 100)",
+      options: [{ targetRuntime: "v8", minimumRisk: "low" }],
+      errors: [{ messageId: "preferBind", suggestions: 1 }],
+    },
+    // Bun projects are detected from bunfig.toml, or engines without node
+    {
+      code: "arr.forEach(() => obj.method())",
+      filename: "tests/fixtures/bun-project/src/app.js",
+      errors: [
+        {
+          message:
+            "On JSC (Bun, Safari), a closure keeps alive what any function in its scope reads. Prefer 'obj.method.bind(obj)' over closure wrapper to avoid capturing surrounding scope.",
+          suggestions: 1,
+        },
+      ],
+    },
+    {
+      code: "setTimeout(() => this.update(), 100)",
+      filename: "tests/fixtures/bun-engines/index.js",
+      errors: [
+        {
+          message:
+            "[low] On JSC (Bun, Safari), a closure keeps alive what any function in its scope reads. Prefer 'this.update.bind(this)' over closure wrapper to avoid capturing surrounding scope.",
+          suggestions: 1,
+        },
+      ],
+    },
+
+    // frameworks: effect cleanups are long-lived
+    {
+      code: `
+function Clock({ store }) {
+  useEffect(() => {
+    const id = setInterval(() => store.tick(), 1000);
+    return () => clearInterval(id);
+  }, [store]);
+}
+`,
+      options: [{ frameworks: ["react"] }],
+      errors: [
+        {
+          messageId: "preferBind",
+          data: { riskLabel: "[high] ", replacement: "store.tick.bind(store)" },
+          suggestions: 1,
+        },
+      ],
+    },
+    {
+      code: `
+function Feed({ source }) {
+  useEffect(() => {
+    const sub = source.subscribe(render);
+    return () => sub.unsubscribe();
+  }, [source]);
+}
+`,
+      options: [{ frameworks: ["react"] }],
+      errors: [
+        {
+          message:
+            "[medium] Prefer 'sub.unsubscribe.bind(sub)' over closure wrapper to avoid capturing surrounding scope.",
+          suggestions: 1,
+        },
+      ],
+    },
+    {
+      code: "function Socket({ url }) { useLayoutEffect(() => () => conn.close(), [url]); }",
+      options: [{ frameworks: ["react"] }],
+      errors: [{ messageId: "preferBind", suggestions: 1 }],
+    },
+    {
+      code: "onMount(() => { const chart = draw(); return () => chart.destroy(); });",
+      options: [{ frameworks: ["svelte"] }],
+      errors: [{ messageId: "preferBind", suggestions: 1 }],
+    },
+    {
+      code: "$effect.pre(() => { const t = track(); return () => t.stop(); });",
+      options: [{ frameworks: ["svelte"] }],
+      errors: [{ messageId: "preferBind", suggestions: 1 }],
+    },
+    {
+      code: "watchEffect((onCleanup) => { const conn = open(); onCleanup(() => conn.close()); });",
+      options: [{ frameworks: ["vue"] }],
+      errors: [{ messageId: "preferBind", suggestions: 1 }],
+    },
+
+    // frameworks: module-level receivers are bound once, outside render bodies
+    {
+      code: `
+import { store } from './store';
+function Counter() {
+  return useSyncExternalStore((cb) => store.subscribe(cb), getSnapshot);
+}
+`,
+      options: [{ frameworks: ["react"] }],
+      errors: [
+        {
+          message:
+            "[medium] Closure wrapper in a render body creates a new function on every render, and so would 'store.subscribe.bind(store)'. Bind it once at module level and pass 'storeSubscribe'.",
+          suggestions: [
+            {
+              messageId: "preferModuleBindingSuggestion",
+              data: { name: "storeSubscribe" },
+              output: `
+import { store } from './store';
+const storeSubscribe = store.subscribe.bind(store);
+
+function Counter() {
+  return useSyncExternalStore(storeSubscribe, getSnapshot);
+}
+`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // Effect callbacks may be bound in place: their identity does not matter
+      code: "const store = createStore();\nconst Ticker = memo(() => { useEffect(() => store.tick()); });",
+      options: [{ frameworks: ["react"] }],
+      errors: [
+        {
+          messageId: "preferBind",
+          data: { riskLabel: "[medium] ", replacement: "store.tick.bind(store)" },
+          suggestions: 1,
+        },
+      ],
+    },
+
+    // Per-context settings and minimumRisk
+    {
+      code: "setInterval(() => obj.tick(), 100)",
+      options: [{ minimumRisk: "high" }],
+      errors: [
+        {
+          message:
+            "[high] Prefer 'obj.tick.bind(obj)' over closure wrapper to avoid capturing surrounding scope.",
+          suggestions: 1,
+        },
+      ],
+    },
+    {
+      code: "poll(() => obj.tick())",
+      options: [
+        {
+          longLivedContexts: [{ method: "poll", risk: "high" }],
+          minimumRisk: "high",
+        },
+      ],
+      errors: [
+        {
+          messageId: "preferBind",
+          data: { riskLabel: "[high] ", replacement: "obj.tick.bind(obj)" },
+          suggestions: 1,
+        },
+      ],
+    },
+    {
+      code: "emitter.on('x', async () => obj.run())",
+      options: [{ longLivedContexts: [{ method: "on", allowAsync: true }] }],
+      errors: [
+        {
+          messageId: "preferBind",
+          data: { riskLabel: "[high] ", replacement: "obj.run.bind(obj)" },
+          suggestions: 1,
+        },
+      ],
+    },
+    {
+      code: "myRegister(() => obj.run())",
+      options: [{ longLivedContexts: ["myRegister"] }],
+      errors: [
+        {
+          messageId: "preferBind",
+          data: { riskLabel: "[medium] ", replacement: "obj.run.bind(obj)" },
+          suggestions: 1,
+        },
+      ],
+    },
+    {
+      code: "const fn = () => obj.method()",
+      options: [{ onlyInLongLivedContexts: false }],
+      errors: [
+        {
+          message:
+            "Prefer 'obj.method.bind(obj)' over closure wrapper to avoid capturing surrounding scope.",
+          suggestions: 1,
+        },
+      ],
+    },
+
+    // sinks: callbacks stored outside of call arguments
+    {
+      code: "el.onclick = () => obj.method()",
+      options: [{ sinks: { properties: ["/^on[a-z]/"] } }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "el.onclick = obj.method.bind(obj)",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "el['onmessage'] = () => this.close()",
+      options: [{ sinks: { properties: ["/^on[a-z]/"] } }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "el['onmessage'] = this.close.bind(this)",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "this.handlers.push(() => obj.method())",
+      options: [{ sinks: { collections: ["push", "set", "add"] } }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "this.handlers.push(obj.method.bind(obj))",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "cache.set(key, function () { obj.method(); })",
+      options: [{ sinks: { collections: ["push", "set", "add"] } }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "cache.set(key, obj.method.bind(obj))",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "module.exports.cb = () => obj.method()",
+      options: [{ sinks: { exports: true } }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "module.exports.cb = obj.method.bind(obj)",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "exports.cb = () => obj.method()",
+      options: [{ sinks: { exports: true } }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "exports.cb = obj.method.bind(obj)",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "export default () => obj.method()",
+      options: [{ sinks: { exports: true } }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "export default obj.method.bind(obj)",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "ws.subscribe({ onMessage: () => ws.close() })",
+      options: [{ sinks: { optionObjects: true } }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "ws.subscribe({ onMessage: ws.close.bind(ws) })",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "Bun.serve({ fetch: (req) => app.fetch(req) })",
+      options: [{ presets: ["bun"], sinks: { optionObjects: true } }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "Bun.serve({ fetch: app.fetch.bind(app) })",
+            },
+          ],
+        },
+      ],
+    },
+
+    // inferRegistrars: user-defined functions that keep callbacks alive
+    {
+      code: `
+function listen(target, type, cb) { target.addEventListener(type, cb); }
+listen(window, 'resize', () => view.layout());
+`,
+      options: [{ inferRegistrars: true }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: `
+function listen(target, type, cb) { target.addEventListener(type, cb); }
+listen(window, 'resize', view.layout.bind(view));
+`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+class Bus {
+  register(cb) { this.handlers.push(cb); }
+}
+bus.register(() => view.render());
+`,
+      options: [{ inferRegistrars: true }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: `
+class Bus {
+  register(cb) { this.handlers.push(cb); }
+}
+bus.register(view.render.bind(view));
+`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+const handlers = new Set();
+export function onChange(cb) { handlers.add(cb); }
+onChange(() => view.render());
+`,
+      options: [{ inferRegistrars: true }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: `
+const handlers = new Set();
+export function onChange(cb) { handlers.add(cb); }
+onChange(view.render.bind(view));
+`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+const onReady = (cb) => listen(window, 'load', cb);
+onReady(() => app.start());
+function listen(target, type, cb) { target.addEventListener(type, cb); }
+`,
+      options: [{ inferRegistrars: true }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: `
+const onReady = (cb) => listen(window, 'load', cb);
+onReady(app.start.bind(app));
+function listen(target, type, cb) { target.addEventListener(type, cb); }
+`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+import { listen } from './events.js';
+listen(window, 'resize', () => view.layout());
+`,
+      options: [{ inferRegistrars: true, registrarCache: "tests/fixtures/registrars.json" }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: `
+import { listen } from './events.js';
+listen(window, 'resize', view.layout.bind(view));
+`,
+            },
+          ],
+        },
+      ],
+    },
+
+    // groupClassBindings: methods wrapped several times share a bound field
+    {
+      code: `
+class View {
+  mount() {
+    this.el.addEventListener('change', () => this.update());
+    setInterval(() => this.update(), 1000);
+  }
+  handler = () => this.on('x', (e) => this.update(e));
+  update() {}
+}
+`,
+      options: [{ groupClassBindings: true }],
+      errors: [4, 5, 7].map((line) => ({
+        messageId: "preferBoundField",
+        line,
+        data: { riskLabel: "[high] ", method: "update", count: 3, lines: "4, 5, 7" },
+        suggestions: [
+          {
+            messageId: "preferBoundFieldSuggestion",
+            output: `
+class View {
+  update = this.update.bind(this);
+  mount() {
+    this.el.addEventListener('change', this.update);
+    setInterval(this.update, 1000);
+  }
+  handler = () => this.on('x', this.update);
+  update() {}
+}
+`,
+          },
+        ],
+      })),
+    },
+    {
+      code: `
+class View {
+  update = null;
+  mount() {
+    setTimeout(() => this.update(), 0);
+    setInterval(() => this.update(), 1000);
+  }
+}
+`,
+      options: [{ groupClassBindings: true }],
+      errors: [
+        { messageId: "preferBoundField", suggestions: [] },
+        { messageId: "preferBoundField", suggestions: [] },
+      ],
+    },
+    {
+      code: `
+class View extends Base {
+  set update(value) {}
+  mount() {
+    setTimeout(() => this.update(), 0);
+    setInterval(() => this.update(), 1000);
+  }
+}
+`,
+      options: [{ groupClassBindings: true }],
+      errors: [
+        { messageId: "preferBoundField", suggestions: [] },
+        { messageId: "preferBoundField", suggestions: [] },
+      ],
+    },
+    {
+      code: `
+class View {
+  mount() {
+    setTimeout(() => this.update(), 0); setInterval(() => this.update(), 1000);
+  }
+  update() {}
+}
+`,
+      options: [{ groupClassBindings: true }],
+      errors: [
+        {
+          messageId: "preferBoundField",
+          data: { riskLabel: "[low] ", method: "update", count: 2, lines: "4" },
+          suggestions: 1,
+        },
+        {
+          messageId: "preferBoundField",
+          data: { riskLabel: "[high] ", method: "update", count: 2, lines: "4" },
+          suggestions: 1,
+        },
+      ],
+    },
+
+    // groupClassBindings: single sites, static methods and other receivers
+    // are reported as usual
+    {
+      code: `
+class View {
+  mount() {
+    setTimeout(() => this.render(), 0);
+    setInterval(() => this.model.update(), 1000);
+    setInterval(() => this.model.update(), 2000);
+  }
+  static init() {
+    setTimeout(() => this.create(), 0);
+    setTimeout(() => this.create(), 10);
+  }
+}
+`,
+      options: [{ groupClassBindings: true }],
+      errors: [
+        ["this.render.bind(this)", "[low] "],
+        ["this.model.update.bind(this.model)", "[high] "],
+        ["this.model.update.bind(this.model)", "[high] "],
+        ["this.create.bind(this)", "[low] "],
+        ["this.create.bind(this)", "[low] "],
+      ].map(([replacement, riskLabel]) => ({
+        messageId: "preferBind",
+        data: { riskLabel, replacement },
+        suggestions: 1,
+      })),
+    },
+
+    // onlyInLongLivedContexts: false - warns everywhere
+    {
+      code: "() => obj.method()",
+      options: [{ onlyInLongLivedContexts: false }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "obj.method.bind(obj)",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "const fn = function() { obj.method(); }",
+      options: [{ onlyInLongLivedContexts: false }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "const fn = obj.method.bind(obj)",
+            },
+          ],
+        },
+      ],
+    },
+
+    // includeAsync option - in long-lived context
+    {
+      code: "setTimeout(async () => obj.method(), 1000)",
+      options: [{ includeAsync: true }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "setTimeout(obj.method.bind(obj), 1000)",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "setTimeout(async () => await obj.method(), 1000)",
+      options: [{ includeAsync: true }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "setTimeout(obj.method.bind(obj), 1000)",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "setTimeout(async () => { obj.method(); }, 1000)",
+      options: [{ includeAsync: true }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "setTimeout(obj.method.bind(obj), 1000)",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "setTimeout(async () => { await obj.method(); }, 1000)",
+      options: [{ includeAsync: true }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "setTimeout(obj.method.bind(obj), 1000)",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "setTimeout(async function() { obj.method(); }, 1000)",
+      options: [{ includeAsync: true }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "setTimeout(obj.method.bind(obj), 1000)",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "setTimeout(async function() { await obj.method(); }, 1000)",
+      options: [{ includeAsync: true }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: "setTimeout(obj.method.bind(obj), 1000)",
+            },
+          ],
+        },
+      ],
+    },
+
+    // scopeAnalysis: lists bindings kept alive through the enclosing scopes
+    {
+      code: `
+        function watch(signal, controller) {
+          const largeBuffer = new ArrayBuffer(1e8);
+          const options = {};
+          signal.addEventListener('abort', () => controller.abort());
+          return () => largeBuffer.byteLength + options.size;
+        }
+      `,
+      options: [{ scopeAnalysis: true }],
+      errors: [
+        {
+          messageId: "preferBindCaptures",
+          data: {
+            riskLabel: "[high] ",
+            replacement: "controller.abort.bind(controller)",
+            captured: "`largeBuffer`, `options`",
+          },
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: `
+        function watch(signal, controller) {
+          const largeBuffer = new ArrayBuffer(1e8);
+          const options = {};
+          signal.addEventListener('abort', controller.abort.bind(controller));
+          return () => largeBuffer.byteLength + options.size;
+        }
+      `,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+        class Poller {
+          start(timer) {
+            setInterval(() => timer.tick(), 100);
+            this.onStop = () => this.stop();
+          }
+        }
+      `,
+      options: [{ scopeAnalysis: true }],
+      errors: [
+        {
+          messageId: "preferBindCaptures",
+          data: {
+            riskLabel: "[high] ",
+            replacement: "timer.tick.bind(timer)",
+            captured: "`this`",
+          },
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: `
+        class Poller {
+          start(timer) {
+            setInterval(timer.tick.bind(timer), 100);
+            this.onStop = () => this.stop();
+          }
+        }
+      `,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+        function poll(obj) {
+          let count = 0;
+          if (obj) {
+            const data = [];
+            setTimeout(() => obj.method(data), 10);
+            return () => count++;
+          }
+        }
+      `,
+      options: [{ scopeAnalysis: true }],
+      errors: [
+        {
+          messageId: "preferBindCaptures",
+          data: {
+            riskLabel: "[low] ",
+            replacement: "setTimeout(obj.method.bind(obj), 10, data)",
+            captured: "`count`",
+          },
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: `
+        function poll(obj) {
+          let count = 0;
+          if (obj) {
+            const data = [];
+            setTimeout(obj.method.bind(obj), 10, data);
+            return () => count++;
+          }
+        }
+      `,
+            },
+          ],
+        },
+      ],
+    },
+  ],
+});
+
+// Type-aware mode (typescript-eslint parser services)
+const typedRuleTester = new RuleTester({
+  languageOptions: {
+    parser: tsParser,
+    parserOptions: {
+      project: "./tsconfig.json",
+      tsconfigRootDir: fileURLToPath(new URL("../../fixtures", import.meta.url)),
+    },
+  },
+});
+
+const typedDeclarations = `
+  declare class EventEmitter { on(event: string, cb: (...args: any[]) => void): this; }
+  declare class Cache { on(event: string, cb: () => void): void; }
+  declare class Service {
+    stop(): void;
+    readonly handleStop: () => void;
+    size: number;
+  }
+  declare const emitter: EventEmitter;
+  declare const cache: Cache;
+  declare const service: Service;
+  declare const signal: AbortSignal;
+  declare const untyped: any;
+`;
+
+typedRuleTester.run("prefer-bind (type-aware)", rule, {
+  valid: [
+    // Receiver is not a long-lived type
+    {
+      code: `${typedDeclarations} cache.on('evict', () => service.stop());`,
+      filename: "file.ts",
+    },
+    // Wrapped member is not a function
+    {
+      code: `${typedDeclarations} emitter.on('x', () => service.size());`,
+      filename: "file.ts",
+    },
+  ],
+
+  invalid: [
+    // Long-lived receiver types, including subtypes of EventTarget
+    {
+      code: `${typedDeclarations} emitter.on('x', () => service.stop());`,
+      filename: "file.ts",
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: `${typedDeclarations} emitter.on('x', service.stop.bind(service));`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `${typedDeclarations} signal.addEventListener('abort', () => service.stop());`,
+      filename: "file.ts",
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: `${typedDeclarations} signal.addEventListener('abort', service.stop.bind(service));`,
+            },
+          ],
+        },
+      ],
+    },
+
+    // Unknown receiver type falls back to name matching
+    {
+      code: `${typedDeclarations} untyped.on('x', () => service.stop());`,
+      filename: "file.ts",
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: `${typedDeclarations} untyped.on('x', service.stop.bind(service));`,
+            },
+          ],
+        },
+      ],
+    },
+
+    // Custom longLivedTypes
+    {
+      code: `${typedDeclarations} cache.on('evict', () => service.stop());`,
+      filename: "file.ts",
+      options: [{ longLivedTypes: ["Cache"] }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: `${typedDeclarations} cache.on('evict', service.stop.bind(service));`,
+            },
+          ],
+        },
+      ],
+    },
+
+    // Entries that name their receiver, from presets or the user, need no type
+    {
+      code: `${typedDeclarations} declare const fs: { watch(path: string, cb: () => void): void };
+        fs.watch('dir', () => service.stop());`,
+      filename: "file.ts",
+      options: [{ presets: ["node"] }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: `${typedDeclarations} declare const fs: { watch(path: string, cb: () => void): void };
+        fs.watch('dir', service.stop.bind(service));`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `${typedDeclarations} declare const router: { on(event: string, cb: () => void): void };
+        router.on('change', () => service.stop());`,
+      filename: "file.ts",
+      options: [{ longLivedContexts: [{ object: "router", method: "on" }] }],
+      errors: [{ messageId: "preferBind", suggestions: 1 }],
+    },
+
+    // typeAware: false keeps name-based matching only
+    {
+      code: `${typedDeclarations} cache.on('evict', () => service.stop());`,
+      filename: "file.ts",
+      options: [{ typeAware: false }],
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: `${typedDeclarations} cache.on('evict', service.stop.bind(service));`,
+            },
+          ],
+        },
+      ],
+    },
+
+    // Arrow-function properties are already bound
+    {
+      code: `
+        class Player {
+          handleEnded = () => this.reset();
+          reset() {}
+        }
+        declare const player: Player;
+        declare const video: HTMLVideoElement;
+        video.addEventListener('ended', () => player.handleEnded());
+      `,
+      filename: "file.ts",
+      errors: [
+        {
+          messageId: "preferDirectReference",
+          data: { riskLabel: "[high] ", replacement: "player.handleEnded" },
+          suggestions: [
+            {
+              messageId: "preferDirectReferenceSuggestion",
+              output: `
+        class Player {
+          handleEnded = () => this.reset();
+          reset() {}
+        }
+        declare const player: Player;
+        declare const video: HTMLVideoElement;
+        video.addEventListener('ended', player.handleEnded);
+      `,
+            },
+          ],
+        },
+      ],
+    },
+
+    // Function-typed properties of unknown origin still get .bind()
+    {
+      code: `${typedDeclarations} emitter.on('x', () => service.handleStop());`,
+      filename: "file.ts",
+      errors: [
+        {
+          messageId: "preferBind",
+          suggestions: [
+            {
+              messageId: "preferBindSuggestion",
+              output: `${typedDeclarations} emitter.on('x', service.handleStop.bind(service));`,
             },
           ],
         },
@@ -0,0 +1,207 @@
+import { RuleTester } from "eslint";
+import rule from "../../../lib/rules/prefer-once-or-signal.js";
+
+const ruleTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2022,
+    sourceType: "module",
+  },
+});
+
+ruleTester.run("prefer-once-or-signal", rule, {
+  valid: [
+    // Already one-shot or removed by a signal
+    "el.addEventListener('load', function onLoad() { el.removeEventListener('load', onLoad); }, { once: true });",
+    "el.addEventListener('click', () => { controller.abort(); }, { signal: controller.signal });",
+    "emitter.once('ready', function onReady() { emitter.off('ready', onReady); });",
+
+    // Explicit choices and options that cannot be inspected
+    "el.addEventListener('load', function onLoad() { el.removeEventListener('load', onLoad); }, { once: false });",
+    "el.addEventListener('load', function onLoad() { el.removeEventListener('load', onLoad); }, options);",
+
+    // Conditional removal: the listener handles several events
+    "el.addEventListener('keydown', function onKey(e) { if (e.key === 'Escape') el.removeEventListener('keydown', onKey); });",
+    "el.addEventListener('click', function onClick() { setTimeout(() => el.removeEventListener('click', onClick)); });",
+
+    // Removing something else
+    "el.addEventListener('load', function onLoad() { el.removeEventListener('error', onLoad); });",
+    "el.addEventListener('load', function onLoad() { other.removeEventListener('load', onLoad); });",
+    "el.addEventListener('load', function onLoad() { el.removeEventListener('load', onError); });",
+    "el.addEventListener('load', () => { el.removeEventListener('load', handler); });",
+
+    // Flags that are not a `return` guard
+    "emitter.on('data', () => { if (done) log(); done = true; });",
+    "emitter.on('data', () => { if (done) return; done = false; });",
+    "emitter.on('data', () => { if (!ready) return; ready = true; });",
+
+    // Controllers that are not visible where the listener is registered
+    "el.addEventListener('click', () => { const controller = new AbortController(); controller.abort(); });",
+    "emitter.on('close', () => { controller.abort(); });",
+    // Abort listeners are reported by no-closure-in-abort-signal
+    "parent.addEventListener('abort', () => controller.abort());",
+    "signal.addEventListener('abort', function onAbort() { signal.removeEventListener('abort', onAbort); close(); });",
+    "el.addEventListener('click', function () { this.controller.abort(); });",
+
+    // Not registrations
+    "el.removeEventListener('load', function onLoad() { el.removeEventListener('load', onLoad); });",
+  ],
+
+  invalid: [
+    // Listeners that remove themselves
+    {
+      code: "el.addEventListener('load', function onLoad() { el.removeEventListener('load', onLoad); init(); });",
+      errors: [
+        {
+          message:
+            "'load' listener removes itself on its first call. Register it with { once: true } instead.",
+          suggestions: [
+            {
+              messageId: "addOnceSuggestion",
+              output:
+                "el.addEventListener('load', function onLoad() { el.removeEventListener('load', onLoad); init(); }, { once: true });",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+function handleReady() {
+  window.removeEventListener('message', handleReady, { capture: true });
+  start();
+}
+window.addEventListener('message', handleReady, { capture: true });
+`,
+      errors: [
+        {
+          messageId: "removesItself",
+          suggestions: [
+            {
+              messageId: "addOnceSuggestion",
+              output: `
+function handleReady() {
+  window.removeEventListener('message', handleReady, { capture: true });
+  start();
+}
+window.addEventListener('message', handleReady, { once: true, capture: true });
+`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "const onData = (chunk) => { stream.off('data', onData); parse(chunk); };\nstream.on('data', onData);",
+      errors: [
+        {
+          message:
+            "'data' listener removes itself on its first call. Register it with 'once' instead.",
+          suggestions: [
+            {
+              messageId: "useOnceSuggestion",
+              data: { receiver: "stream" },
+              output:
+                "const onData = (chunk) => { stream.off('data', onData); parse(chunk); };\nstream.once('data', onData);",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: `
+class Loader {
+  onLoad = () => {
+    this.img.removeEventListener('load', this.onLoad);
+    this.ready();
+  };
+  start() {
+    this.img.addEventListener('load', this.onLoad);
+  }
+}
+`,
+      errors: [{ messageId: "removesItself", suggestions: 1 }],
+    },
+    {
+      // Static blocks have no key
+      code: `
+class Loader {
+  static { init(); }
+  start() {
+    this.img.addEventListener('load', this.onLoad);
+  }
+  onLoad = () => {
+    this.img.removeEventListener('load', this.onLoad);
+  };
+}
+`,
+      errors: [{ messageId: "removesItself", suggestions: 1 }],
+    },
+    {
+      // Legacy useCapture flag: no safe place for `once`
+      code: "el.addEventListener('load', function onLoad() { el.removeEventListener('load', onLoad, true); }, true);",
+      errors: [{ messageId: "removesItself", suggestions: [] }],
+    },
+
+    // Done flags
+    {
+      code: "let done = false;\nemitter.on('ready', () => { if (done) return; done = true; start(); });",
+      errors: [
+        {
+          messageId: "doneFlag",
+          data: { event: "ready", flag: "done", alternative: "'once'" },
+          suggestions: [
+            {
+              messageId: "useOnceSuggestion",
+              output:
+                "let done = false;\nemitter.once('ready', () => { if (done) return; done = true; start(); });",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "el.addEventListener('click', () => { if (this.clicked) { return; } this.clicked = true; submit(); });",
+      errors: [
+        {
+          message:
+            "'click' listener does nothing once 'this.clicked' is set, but stays registered. Register it with { once: true } instead.",
+          suggestions: 1,
+        },
+      ],
+    },
+
+    // Listeners that abort a controller
+    {
+      code: "const controller = new AbortController();\nel.addEventListener('click', () => { controller.abort(); close(); });",
+      errors: [
+        {
+          message:
+            "'click' listener aborts 'controller' on its first call, but stays registered. Pass { signal: controller.signal } so that the abort removes it.",
+          suggestions: [
+            {
+              messageId: "addSignalSuggestion",
+              data: { controller: "controller" },
+              output:
+                "const controller = new AbortController();\nel.addEventListener('click', () => { controller.abort(); close(); }, { signal: controller.signal });",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "class Dialog { open() { this.el.addEventListener('close', () => this.controller.abort(), { passive: true }); } }",
+      errors: [
+        {
+          messageId: "abortsController",
+          suggestions: [
+            {
+              messageId: "addSignalSuggestion",
+              output:
+                "class Dialog { open() { this.el.addEventListener('close', () => this.controller.abort(), { signal: this.controller.signal, passive: true }); } }",
+            },
+          ],
+        },
+      ],
+    },
+  ],
+});